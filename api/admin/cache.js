@@ -0,0 +1,20 @@
+// api/admin/cache.js
+// Cache administration (requires X-Admin-Key = ADMIN_SECRET).
+//  GET ?days=7             hit/stale/miss/coalesced counters per day for each cache namespace
+//  DELETE ?prefix=recipe:  purge cached entries whose key starts with prefix (cache prefixes only)
+import { cacheStats, purgeCache, CACHE_NAMESPACES, CACHE_PREFIXES } from "../../lib/cache.js";
+import { withApi } from "../../lib/middleware.js";
+import { sendError } from "../../lib/errors.js";
+
+export default withApi({ endpoint: "admin-cache", methods: ["GET", "DELETE"], admin: true, rateLimit: false }, async (req, res) => {
+  if (req.method === "GET") {
+    const days = req.query?.days === undefined ? 7 : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 1 || days > 30) return sendError(res, 400, "days must be a whole number from 1 to 30");
+    return res.json({ stats: await Promise.all(CACHE_NAMESPACES.map(namespace => cacheStats(namespace, days))) });
+  }
+
+  const prefix = String(req.query?.prefix || "");
+  const deleted = prefix ? await purgeCache(prefix) : null;
+  if (deleted === null) return sendError(res, 400, `prefix must start with one of ${CACHE_PREFIXES.join(", ")}`);
+  return res.json({ prefix, deleted });
+});
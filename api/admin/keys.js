@@ -0,0 +1,66 @@
+// api/admin/keys.js
+// API key management (requires X-Admin-Key = ADMIN_SECRET).
+//  GET                 list keys (without secret hashes)
+//  POST { name, scopes, dailyQuota, budget, expiresAt | expiresInDays, requireSignature }  issue a key
+//  POST { rotateId }   issue a replacement; the old key expires after KEY_ROTATION_GRACE_SECONDS
+//  PATCH ?id= { budget }  replace a key's usage budget (null removes it; fields in lib/usage.js)
+//  DELETE ?id=         revoke a key
+import { listKeys, getKey, issueKey, revokeKey, rotateKey, setBudget, signingConfigured } from "../../lib/apiKeys.js";
+import { validateBudget } from "../../lib/usage.js";
+import { withApi } from "../../lib/middleware.js";
+import { sendError } from "../../lib/errors.js";
+
+// keys from API_KEYS_JSON / API_KEYS_FILE change with deploys, not through this endpoint
+async function findStoredKey(id) {
+  const record = await getKey(id);
+  if (!record) return { status: 404, message: "Key not found" };
+  if (record.source !== "store") return { status: 409, message: "Key is defined in config and can't be changed here" };
+  if (record.revokedAt) return { status: 409, message: "Key is already revoked" };
+  return { record };
+}
+
+export default withApi({ endpoint: "admin-keys", methods: ["GET", "POST", "PATCH", "DELETE"], admin: true, rateLimit: false }, async (req, res) => {
+  if (req.method === "GET") return res.json({ keys: await listKeys() });
+
+  if (req.method === "DELETE") {
+    const id = String(req.query?.id || "");
+    if (!id) return sendError(res, 400, "id query parameter required");
+    const found = await findStoredKey(id);
+    if (!found.record) return sendError(res, found.status, found.message);
+    return res.json({ key: await revokeKey(id) });
+  }
+
+  const body = req.body || {};
+  const budget = body.budget === undefined ? { ok: true, budget: null } : validateBudget(body.budget);
+  if (!budget.ok) return sendError(res, 400, budget.error);
+
+  if (req.method === "PATCH") {
+    const id = String(req.query?.id || "");
+    if (!id) return sendError(res, 400, "id query parameter required");
+    if (body.budget === undefined) return sendError(res, 400, "budget required");
+    const found = await findStoredKey(id);
+    if (!found.record) return sendError(res, found.status, found.message);
+    return res.json({ key: await setBudget(id, budget.budget) });
+  }
+
+  if (body.rotateId) {
+    const found = await findStoredKey(String(body.rotateId));
+    if (!found.record) return sendError(res, found.status, found.message);
+    if (found.record.requireSignature && !signingConfigured()) return sendError(res, 400, "Signed keys need KEY_SIGNING_SECRET");
+    const rotated = await rotateKey(found.record.id);
+    return res.status(201).json({ apiKey: rotated.key, signingSecret: rotated.signingSecret, webhookSecret: rotated.webhookSecret, key: rotated.record, previous: rotated.previous });
+  }
+
+  if (body.scopes !== undefined && !(Array.isArray(body.scopes) && body.scopes.every(s => typeof s === "string"))) {
+    return sendError(res, 400, "scopes must be an array of endpoint names");
+  }
+  if (body.dailyQuota != null && !(Number(body.dailyQuota) > 0)) return sendError(res, 400, "dailyQuota must be a positive number");
+  let expiresAt = body.expiresAt || null;
+  if (body.expiresInDays) expiresAt = new Date(Date.now() + Number(body.expiresInDays) * 86400000).toISOString();
+  if (expiresAt && Number.isNaN(new Date(expiresAt).getTime())) return sendError(res, 400, "expiresAt must be a date");
+  if (body.requireSignature && !signingConfigured()) return sendError(res, 400, "Signed keys need KEY_SIGNING_SECRET");
+
+  const issued = await issueKey({ ...body, budget: budget.budget, expiresAt });
+  // the plaintext key and its secrets are only ever shown in this response
+  return res.status(201).json({ apiKey: issued.key, signingSecret: issued.signingSecret, webhookSecret: issued.webhookSecret, key: issued.record });
+});
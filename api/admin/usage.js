@@ -0,0 +1,19 @@
+// api/admin/usage.js
+// Usage and budget state of any API key (requires X-Admin-Key = ADMIN_SECRET).
+//  GET ?keyId=…&days=7&months=1   keyId may also be "open" or "legacy"
+import { usageReport, budgetStatus, reportRange } from "../../lib/usage.js";
+import { getKey } from "../../lib/apiKeys.js";
+import { withApi } from "../../lib/middleware.js";
+import { sendError } from "../../lib/errors.js";
+
+export default withApi({ endpoint: "admin-usage", methods: ["GET"], admin: true, rateLimit: false }, async (req, res) => {
+  const keyId = String(req.query?.keyId || "");
+  if (!keyId) return sendError(res, 400, "keyId query parameter required");
+  const range = reportRange(req.query);
+  if (!range.ok) return sendError(res, 400, range.error);
+  // open proxy and PROXY_SECRET callers have no key record, only the default budget
+  const record = await getKey(keyId);
+  if (!record && keyId !== "open" && keyId !== "legacy") return sendError(res, 404, "Key not found");
+  const usage = await usageReport(keyId, range);
+  return res.json({ ...usage, budget: await budgetStatus(record || { id: keyId }) });
+});
@@ -1,30 +1,56 @@
 // api/barcode-lookup.js
+// POST { barcode } -> { product } (404 when no source knows it), or POST { barcodes: [...] } -> { results: [...] }.
+// With { addToPantry: true, quantity, expiresAt } found products are also stored in the caller's pantry (lib/pantry.js).
 import { MOCK_BARCODE } from "../lib/mockData.js";
-import { requireProxyKey } from "../lib/utils.js";
+import { lookupBarcode, lookupBarcodes, validateBarcode } from "../lib/barcode.js";
+import { withApi } from "../lib/middleware.js";
+import { sendError } from "../lib/errors.js";
+import { pantryOwner, addItems, productItem, validateItemInput } from "../lib/pantry.js";
+import { log } from "../lib/log.js";
+import { captureException } from "../lib/sentry.js";
 
-const SPOONACULAR_KEY = process.env.SPOONACULAR_KEY;
-
-export default async function handler(req, res) {
-  if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
-
-  if (!requireProxyKey(req, res)) return;
+const BATCH_MAX = Number(process.env.BARCODE_BATCH_MAX || 25);
 
+export default withApi({ endpoint: "barcode-lookup", methods: ["POST"], metered: true }, async (req, res) => {
   const MOCK = (process.env.MOCK || "true") === "true";
-  const { barcode } = req.body || {};
+  const { barcode, barcodes, addToPantry = false } = req.body || {};
+
+  let owner = null;
+  let stock = {};
+  if (addToPantry === true) {
+    owner = pantryOwner(req);
+    if (!owner) return sendError(res, 400, "Invalid X-User-Id header");
+    const valid = validateItemInput({ quantity: req.body.quantity, expiresAt: req.body.expiresAt }, { partial: true });
+    if (!valid.ok) return sendError(res, 400, valid.error);
+    stock = valid.fields;
+  }
+  const store = async products => owner ? { pantry: await addItems(owner, products.map(p => productItem(p, stock))) } : {};
+
+  if (barcodes !== undefined) {
+    if (!Array.isArray(barcodes) || barcodes.length === 0) return sendError(res, 400, "barcodes must be a non-empty array");
+    if (barcodes.length > BATCH_MAX) return sendError(res, 400, `At most ${BATCH_MAX} barcodes per request`);
+    const results = MOCK
+      ? barcodes.map(b => ({ barcode: String(b), found: true, product: MOCK_BARCODE }))
+      : await lookupBarcodes(barcodes);
+    const pantry = await store(results.filter(r => r.found).map(r => r.product));
+    return res.json(MOCK ? { results, mode: "mock", ...pantry } : { results, ...pantry });
+  }
 
-  if (!barcode) return res.status(400).json({ error: "barcode required in body" });
+  if (!barcode) return sendError(res, 400, "barcode required in body");
 
-  if (MOCK) return res.json({ product: MOCK_BARCODE, mode: "mock" });
+  const valid = validateBarcode(barcode);
+  if (!valid.ok) return sendError(res, 400, valid.error);
 
-  if (!SPOONACULAR_KEY) return res.status(500).json({ error: "SPOONACULAR_KEY not set" });
+  if (MOCK) return res.json({ product: MOCK_BARCODE, mode: "mock", ...(await store([{ ...MOCK_BARCODE, barcode: valid.code }])) });
 
+  let found;
   try {
-    const url = `https://api.spoonacular.com/food/products/upc/${barcode}?apiKey=${SPOONACULAR_KEY}`;
-    const r = await fetch(url);
-    const json = await r.json();
-    return res.json({ product: json });
+    found = await lookupBarcode(valid.code);
   } catch (err) {
-    console.error("barcode error:", err);
-    return res.status(500).json({ error: "Barcode lookup failed", details: String(err) });
+    log.error("barcode lookup failed", { barcode: valid.code, error: err });
+    captureException(err, { barcode: valid.code });
+    return sendError(res, 502, "Barcode lookup failed");
   }
-}
+  if (!found.product) return sendError(res, 404, "Product not found", { barcode: valid.code });
+  return res.json({ product: found.product, cached: found.cached, ...(await store([found.product])) });
+});
@@ -1,45 +1,137 @@
 // api/chat.js
+// JSON by default; streams Server-Sent Events when the client sends `Accept: text/event-stream` or `stream: true`.
+// Stream events: `token` { text } as the reply arrives, `tool` { name, ok } after each tool call, then
+// `done` { reply, suggestedActions, caution, conversationId, ...tool results } (or `error` with the usual error envelope).
+// Closing the connection cancels the upstream request.
+// In real mode the model can call our own capabilities (recipes, barcode lookup, pantry photo, the user's food log
+// against their targets) — see lib/chatTools.js.
 import { MOCK_CHAT_REPLY } from "../lib/mockData.js";
-import { requireProxyKey } from "../lib/utils.js";
+import { extractBase64, validateImageBase64, requestOwner } from "../lib/utils.js";
+import { getConversation, conversationExists, newConversation, appendTurns, historyMessages, profilePrompt, isValidConversationId } from "../lib/conversations.js";
+import { wantsEventStream, startEventStream, sendEvent } from "../lib/sse.js";
+import { complete, llmConfigError } from "../lib/llm.js";
+import { runToolLoop, suggestActions } from "../lib/chatTools.js";
+import { withApi } from "../lib/middleware.js";
+import { sendError, errorBody } from "../lib/errors.js";
+import { log } from "../lib/log.js";
+import { captureException } from "../lib/sentry.js";
 
-const OPENAI_KEY = process.env.OPENAI_API_KEY;
+const MAX_MESSAGE_CHARS = Number(process.env.CHAT_MAX_MESSAGE_CHARS || 4000);
+const MOCK_STREAM_DELAY_MS = Number(process.env.MOCK_STREAM_DELAY_MS || 40);
+const CAUTION = MOCK_CHAT_REPLY.caution;
 
-export default async function handler(req, res) {
-  if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
 
-  if (!requireProxyKey(req, res)) return;
+// replays the mock reply a few words at a time so clients can build streaming UI offline
+async function streamMock(res, signal) {
+  const words = MOCK_CHAT_REPLY.reply.split(/(?<=\s)/);
+  for (let i = 0; i < words.length; i += 3) {
+    if (signal.aborted) return;
+    sendEvent(res, "token", { text: words.slice(i, i + 3).join("") });
+    await sleep(MOCK_STREAM_DELAY_MS);
+  }
+}
 
+export default withApi({ endpoint: "chat", methods: ["POST"], metered: true }, async (req, res) => {
   const MOCK = (process.env.MOCK || "true") === "true";
 
   const { message = "", userProfile = {}, conversationId = null } = req.body || {};
 
-  if (!message) return res.status(400).json({ error: "Message is required" });
+  // stored in the conversation history as-is, so only text is accepted
+  if (typeof message !== "string" || !message.trim()) return sendError(res, 400, "Message must be a non-empty string");
+  if (message.length > MAX_MESSAGE_CHARS) return sendError(res, 413, `Message must be at most ${MAX_MESSAGE_CHARS} characters`);
+  if (conversationId !== null && !isValidConversationId(conversationId)) {
+    return sendError(res, 400, "Invalid conversationId");
+  }
+
+  // optional pantry photo attached to this message, available to the parse_pantry_image tool
+  let image = null;
+  const imageBase64 = extractBase64(req.body?.imageBase64 || req.body?.image);
+  if (imageBase64) {
+    image = validateImageBase64(imageBase64);
+    if (!image.ok) return sendError(res, image.status, image.error);
+  }
+
+  const stream = wantsEventStream(req);
+  const configError = MOCK ? null : llmConfigError("chat");
+  if (configError) return sendError(res, 500, configError, { code: "not_configured" });
 
-  if (MOCK) return res.json({ reply: MOCK_CHAT_REPLY.reply, suggestedActions: MOCK_CHAT_REPLY.suggestedActions, caution: MOCK_CHAT_REPLY.caution, mode: "mock" });
+  const owner = requestOwner(req);
+  if (!owner) return sendError(res, 400, "Invalid X-User-Id header");
+  // unknown or expired ids start a fresh conversation under a server-issued id; someone else's is a 404
+  let conv = conversationId ? await getConversation(conversationId, owner) : null;
+  if (!conv && conversationId && await conversationExists(conversationId)) return sendError(res, 404, "Conversation not found");
+  conv = conv || newConversation({ owner });
+  if (userProfile && Object.keys(userProfile).length > 0) conv.profile = userProfile;
 
-  if (!OPENAI_KEY) return res.status(500).json({ error: "OPENAI_API_KEY not set" });
+  if (MOCK && !stream) {
+    await appendTurns(conv, [{ role: "user", content: message }, { role: "assistant", content: MOCK_CHAT_REPLY.reply }]);
+    return res.json({ reply: MOCK_CHAT_REPLY.reply, suggestedActions: MOCK_CHAT_REPLY.suggestedActions, caution: MOCK_CHAT_REPLY.caution, conversationId: conv.id, mode: "mock" });
+  }
 
-  const systemPrompt = `You are a friendly registered dietitian and nutrition coach. Provide clear, evidence-based guidance but never give medical diagnoses. Always ask clarifying questions if needed.`;
+  const profileContext = profilePrompt(conv.profile);
+  const systemPrompt = `You are a friendly registered dietitian and nutrition coach. Provide clear, evidence-based guidance but never give medical diagnoses. Always ask clarifying questions if needed.
+Use the available tools when the user wants recipes, asks about a product barcode, attaches a pantry photo, or asks what they ate or how they are doing against their targets; summarize tool results briefly instead of repeating them in full.${profileContext ? "\n\n" + profileContext : ""}`;
+  const messages = [
+    { role: "system", content: systemPrompt },
+    ...historyMessages(conv),
+    { role: "user", content: message }
+  ];
+  const callModel = (signal, onToken) => (msgs, tools) =>
+    complete({ endpoint: "chat", messages: msgs, tools, temperature: 0.2, maxTokens: 600, signal, onToken });
+  const context = { profile: conv.profile, image: image?.ok ? image : null, owner };
 
+  if (stream) {
+    const controller = new AbortController();
+    // req "close" fires once the body is read; the response closing early is the real disconnect signal
+    res.on("close", () => { if (!res.writableEnded) controller.abort(); });
+    startEventStream(res);
+    try {
+      let reply;
+      let results = {};
+      let suggestedActions;
+      if (MOCK) {
+        await streamMock(res, controller.signal);
+        reply = MOCK_CHAT_REPLY.reply;
+        suggestedActions = MOCK_CHAT_REPLY.suggestedActions;
+      } else {
+        const onToken = text => sendEvent(res, "token", { text });
+        const out = await runToolLoop({
+          messages,
+          context,
+          callModel: callModel(controller.signal, onToken),
+          onToolResult: (name, outcome) => sendEvent(res, "tool", { name, ok: !outcome.error })
+        });
+        reply = out.reply;
+        results = out.results;
+        suggestedActions = suggestActions(results);
+      }
+      if (controller.signal.aborted) return res.end();
+      if (!reply) reply = "Sorry, I couldn't generate a reply.";
+      await appendTurns(conv, [{ role: "user", content: message }, { role: "assistant", content: reply }]);
+      sendEvent(res, "done", { reply, suggestedActions, caution: CAUTION, conversationId: conv.id, ...results, ...(MOCK ? { mode: "mock" } : {}) });
+    } catch (err) {
+      if (controller.signal.aborted) return res.end();
+      log.error("chat failed", { stream: true, conversationId: conv.id, error: err });
+      captureException(err, { conversationId: conv.id });
+      sendEvent(res, "error", errorBody(res, 502, "Chat failed"));
+    }
+    return res.end();
+  }
+
+  let out;
   try {
-    const openaiResp = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: { Authorization: `Bearer ${OPENAI_KEY}`, "Content-Type": "application/json" },
-      body: JSON.stringify({
-        model: "gpt-4o-mini",
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: message }
-        ],
-        temperature: 0.2,
-        max_tokens: 600
-      })
+    out = await runToolLoop({
+      messages,
+      context,
+      callModel: callModel(null, null)
     });
-    const openaiData = await openaiResp.json();
-    const text = openaiData?.choices?.[0]?.message?.content || "Sorry, I couldn't generate a reply.";
-    return res.json({ reply: text });
   } catch (err) {
-    console.error("chat error:", err);
-    res.status(500).json({ error: "Chat failed", details: String(err) });
+    log.error("chat failed", { conversationId: conv.id, error: err });
+    captureException(err, { conversationId: conv.id });
+    return sendError(res, 502, "Chat failed");
   }
-}
+  const text = out.reply || "Sorry, I couldn't generate a reply.";
+  await appendTurns(conv, [{ role: "user", content: message }, { role: "assistant", content: text }]);
+  return res.json({ reply: text, suggestedActions: suggestActions(out.results), caution: CAUTION, conversationId: conv.id, ...out.results });
+});
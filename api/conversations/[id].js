@@ -0,0 +1,23 @@
+// api/conversations/[id].js
+// GET returns the stored history for a chat conversation, DELETE forgets it. Only the owner that started a
+// conversation can see it; for anyone else it is 404.
+import { requestOwner } from "../../lib/utils.js";
+import { getConversation, deleteConversation, isValidConversationId } from "../../lib/conversations.js";
+import { withApi } from "../../lib/middleware.js";
+import { sendError } from "../../lib/errors.js";
+
+export default withApi({ endpoint: "conversations", methods: ["GET", "DELETE"] }, async (req, res) => {
+  const id = req.query?.id;
+  if (!isValidConversationId(id)) return sendError(res, 400, "Invalid conversation id");
+  const owner = requestOwner(req);
+  if (!owner) return sendError(res, 400, "Invalid X-User-Id header");
+
+  if (req.method === "DELETE") {
+    const deleted = await deleteConversation(id, owner);
+    if (!deleted) return sendError(res, 404, "Conversation not found");
+    return res.json({ conversationId: id, deleted: true });
+  }
+  const conv = await getConversation(id, owner);
+  if (!conv) return sendError(res, 404, "Conversation not found");
+  return res.json({ conversationId: conv.id, createdAt: conv.createdAt, updatedAt: conv.updatedAt, profile: conv.profile, turns: conv.turns });
+});
@@ -0,0 +1,28 @@
+// api/food-log/[id].js
+// GET one food log entry, PATCH { servings, meal, name } to change it (nutrition follows servings), DELETE to remove it.
+import { getEntry, updateEntry, removeEntry, validateEntryFields } from "../../lib/foodLog.js";
+import { pantryOwner } from "../../lib/pantry.js";
+import { withApi } from "../../lib/middleware.js";
+import { sendError } from "../../lib/errors.js";
+
+export default withApi({ endpoint: "food-log", methods: ["GET", "PATCH", "DELETE"] }, async (req, res) => {
+  const owner = pantryOwner(req);
+  if (!owner) return sendError(res, 400, "Invalid X-User-Id header");
+  const id = String(req.query?.id || "");
+
+  if (req.method === "DELETE") {
+    if (!(await removeEntry(owner, id))) return sendError(res, 404, "Food log entry not found");
+    return res.json({ id, deleted: true });
+  }
+
+  let entry;
+  if (req.method === "PATCH") {
+    const valid = validateEntryFields(req.body, { partial: true });
+    if (!valid.ok) return sendError(res, 400, valid.error);
+    entry = await updateEntry(owner, id, valid.fields);
+  } else {
+    entry = await getEntry(owner, id);
+  }
+  if (!entry) return sendError(res, 404, "Food log entry not found");
+  return res.json({ entry });
+});
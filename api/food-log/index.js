@@ -0,0 +1,34 @@
+// api/food-log/index.js
+// The caller's food log (lib/foodLog.js), per API key and X-User-Id.
+//  GET ?date=YYYY-MM-DD (default today, UTC)    the day's entries with totals per meal and for the day
+//  POST { date, meal, servings, ...food }       log one entry; food is one of
+//    recipe | recipeKey (+ title) | mealPlanId (+ day, meal) | barcode | text (+ optional nutrition) | name + nutrition
+import { MOCK_BARCODE } from "../../lib/mockData.js";
+import { lookupBarcode } from "../../lib/barcode.js";
+import { parseDay, validateEntryFields, resolveEntry, addEntry, daySummary } from "../../lib/foodLog.js";
+import { pantryOwner } from "../../lib/pantry.js";
+import { withApi } from "../../lib/middleware.js";
+import { sendError } from "../../lib/errors.js";
+
+export default withApi({ endpoint: "food-log", methods: ["GET", "POST"], metered: true }, async (req, res) => {
+  const MOCK = (process.env.MOCK || "true") === "true";
+  const owner = pantryOwner(req);
+  if (!owner) return sendError(res, 400, "Invalid X-User-Id header");
+
+  if (req.method === "GET") {
+    const day = parseDay(req.query?.date);
+    if (!day.ok) return sendError(res, 400, day.error);
+    const { period, targets, vsTargets, ...dayLog } = await daySummary(owner, day.date);
+    return res.json(dayLog);
+  }
+
+  const body = req.body || {};
+  const day = parseDay(body.date);
+  if (!day.ok) return sendError(res, 400, day.error);
+  const valid = validateEntryFields(body);
+  if (!valid.ok) return sendError(res, 400, valid.error);
+  const lookupProduct = MOCK ? async code => ({ product: { barcode: code, ...MOCK_BARCODE } }) : lookupBarcode;
+  const resolved = await resolveEntry(body, { owner, lookupProduct });
+  const entry = await addEntry(owner, day.date, resolved, valid.fields);
+  return res.status(201).json(MOCK && entry.source === "barcode" ? { entry, mode: "mock" } : { entry });
+});
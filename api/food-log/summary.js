@@ -0,0 +1,25 @@
+// api/food-log/summary.js
+// GET ?period=day|week&date=YYYY-MM-DD — intake against the caller's saved daily targets (POST /api/targets).
+// A week is Monday–Sunday around `date`; its comparison uses the average of the days with entries.
+import { parseDay, daySummary, weekSummary } from "../../lib/foodLog.js";
+import { targetsFor } from "../../lib/nutritionTargets.js";
+import { pantryOwner } from "../../lib/pantry.js";
+import { withApi } from "../../lib/middleware.js";
+import { sendError } from "../../lib/errors.js";
+
+const PERIODS = ["day", "week"];
+
+export default withApi({ endpoint: "food-log", methods: ["GET"] }, async (req, res) => {
+  const owner = pantryOwner(req);
+  if (!owner) return sendError(res, 400, "Invalid X-User-Id header");
+  const period = String(req.query?.period || "day").toLowerCase();
+  if (!PERIODS.includes(period)) return sendError(res, 400, `period must be one of ${PERIODS.join(", ")}`);
+  const day = parseDay(req.query?.date);
+  if (!day.ok) return sendError(res, 400, day.error);
+
+  const saved = await targetsFor(owner);
+  const summary = period === "week"
+    ? await weekSummary(owner, day.date, saved?.targets || null)
+    : await daySummary(owner, day.date, saved?.targets || null);
+  return res.json(saved ? summary : { ...summary, hint: "POST a userProfile to /api/targets to compare with daily targets" });
+});
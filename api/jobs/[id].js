@@ -0,0 +1,15 @@
+// api/jobs/[id].js
+// Status and result of an async job (see lib/jobs.js). Pending jobs carry Retry-After as a polling hint.
+import { getJob, publicJob, POLL_AFTER_SECONDS } from "../../lib/jobs.js";
+import { pantryOwner } from "../../lib/pantry.js";
+import { withApi } from "../../lib/middleware.js";
+import { sendError } from "../../lib/errors.js";
+
+export default withApi({ endpoint: "jobs", methods: ["GET"] }, async (req, res) => {
+  const owner = pantryOwner(req);
+  if (!owner) return sendError(res, 400, "Invalid X-User-Id header");
+  const job = await getJob(String(req.query?.id || ""), owner);
+  if (!job) return sendError(res, 404, "Job not found");
+  if (job.status === "queued" || job.status === "running") res.setHeader("Retry-After", String(POLL_AFTER_SECONDS));
+  return res.json({ job: publicJob(job) });
+});
@@ -0,0 +1,30 @@
+// api/meal-plan/[id].js
+// GET returns a stored plan, POST { day, meal } regenerates that one slot, DELETE forgets the plan.
+import { getMealPlan, regenerateSlot, deleteMealPlan, publicPlan, normalizeMeal, mockGenerate } from "../../lib/mealPlan.js";
+import { pantryOwner } from "../../lib/pantry.js";
+import { withApi } from "../../lib/middleware.js";
+import { sendError } from "../../lib/errors.js";
+
+export default withApi({ endpoint: "meal-plan", methods: ["GET", "POST", "DELETE"], metered: true }, async (req, res) => {
+  const owner = pantryOwner(req);
+  if (!owner) return sendError(res, 400, "Invalid X-User-Id header");
+  const id = String(req.query?.id || "");
+
+  if (req.method === "DELETE") {
+    if (!(await deleteMealPlan(id, owner))) return sendError(res, 404, "Meal plan not found");
+    return res.json({ id, deleted: true });
+  }
+
+  const plan = await getMealPlan(id, owner);
+  if (!plan) return sendError(res, 404, "Meal plan not found");
+  if (req.method === "GET") return res.json({ plan: publicPlan(plan) });
+
+  const day = Number(req.body?.day);
+  const meal = normalizeMeal(req.body?.meal || "");
+  if (!plan.schedule.some(d => d.day === day) || !plan.meals.includes(meal)) {
+    return sendError(res, 400, `day must be 1-${plan.days} and meal one of ${plan.meals.join(", ")}`);
+  }
+  const MOCK = (process.env.MOCK || "false") === "true";
+  const updated = await regenerateSlot(plan, day, meal, MOCK ? mockGenerate : undefined);
+  return res.json({ plan: publicPlan(updated), regenerated: { day, meal } });
+});
@@ -0,0 +1,42 @@
+// api/meal-plan/index.js
+// POST { days, meals, calorieTarget, shares, leftovers, ingredients, diet, servings, userProfile } -> 201 { plan }
+// Builds an N-day plan (lib/mealPlan.js). calorieTarget and userProfile.macroTargets are daily and split across
+// meals by `shares`; without `ingredients` the caller's pantry is used, soon-to-expire items first.
+import { createMealPlan, publicPlan, normalizeMeal, mockGenerate, MEAL_TYPES, MAX_DAYS } from "../../lib/mealPlan.js";
+import { pantryOwner, getPantry, pantryIngredients } from "../../lib/pantry.js";
+import { withApi } from "../../lib/middleware.js";
+import { sendError } from "../../lib/errors.js";
+
+export default withApi({ endpoint: "meal-plan", methods: ["POST"], metered: true }, async (req, res) => {
+  const body = req.body || {};
+  const { diet = "none", calorieTarget = null, servings = 1, userProfile = {}, shares = {}, leftovers = true } = body;
+  const owner = pantryOwner(req);
+  if (!owner) return sendError(res, 400, "Invalid X-User-Id header");
+
+  const days = body.days === undefined ? 7 : Number(body.days);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) return sendError(res, 400, `days must be a whole number from 1 to ${MAX_DAYS}`);
+  const meals = body.meals === undefined ? MEAL_TYPES : Array.isArray(body.meals) ? [...new Set(body.meals.map(normalizeMeal))] : null;
+  if (!meals?.length || !meals.every(m => MEAL_TYPES.includes(m))) return sendError(res, 400, `meals must be a non-empty array of ${MEAL_TYPES.join(", ")}`);
+  if (!shares || typeof shares !== "object" || Object.values(shares).some(v => !(Number(v) > 0))) {
+    return sendError(res, 400, "shares must map meals to positive numbers");
+  }
+
+  let { ingredients } = body;
+  let priority = [];
+  if (ingredients === undefined) {
+    ({ ingredients, expiringSoon: priority } = pantryIngredients((await getPantry(owner)).items));
+    if (ingredients.length === 0) {
+      return sendError(res, 400, "Your pantry is empty. Add items or provide an ingredients array in the request body.");
+    }
+  }
+  if (!Array.isArray(ingredients) || ingredients.length === 0) {
+    return sendError(res, 400, "Please provide an ingredients array in the request body.");
+  }
+
+  const MOCK = (process.env.MOCK || "false") === "true";
+  const plan = await createMealPlan({
+    owner, days, meals, shares: Object.fromEntries(Object.entries(shares).map(([meal, v]) => [normalizeMeal(meal), v])),
+    calorieTarget, leftovers: leftovers !== false, ingredients, priority, diet, servings: Math.max(1, Number(servings) || 1), userProfile
+  }, MOCK ? mockGenerate : undefined);
+  return res.status(201).json({ plan: publicPlan(plan), ...(MOCK ? { mode: "mock" } : {}) });
+});
@@ -0,0 +1,27 @@
+// api/pantry/[id].js
+// GET one pantry item, PATCH { name, quantity, unit, expiresAt } to change it, DELETE to remove it.
+import { pantryOwner, getPantry, updateItem, removeItem, validateItemInput, daysUntilExpiry } from "../../lib/pantry.js";
+import { withApi } from "../../lib/middleware.js";
+import { sendError } from "../../lib/errors.js";
+
+export default withApi({ endpoint: "pantry", methods: ["GET", "PATCH", "DELETE"] }, async (req, res) => {
+  const owner = pantryOwner(req);
+  if (!owner) return sendError(res, 400, "Invalid X-User-Id header");
+  const id = String(req.query?.id || "");
+
+  if (req.method === "DELETE") {
+    if (!(await removeItem(owner, id))) return sendError(res, 404, "Pantry item not found");
+    return res.json({ id, deleted: true });
+  }
+
+  let item;
+  if (req.method === "PATCH") {
+    const valid = validateItemInput(req.body, { partial: true });
+    if (!valid.ok) return sendError(res, 400, valid.error);
+    item = await updateItem(owner, id, valid.fields);
+  } else {
+    item = (await getPantry(owner)).items.find(i => i.id === id);
+  }
+  if (!item) return sendError(res, 404, "Pantry item not found");
+  return res.json({ item: { ...item, expiresInDays: daysUntilExpiry(item) } });
+});
@@ -0,0 +1,40 @@
+// api/pantry/index.js
+// The caller's pantry (per API key, plus the optional X-User-Id header for apps serving several users).
+//  GET                                              list items, soonest expiry first
+//  POST { items: [{ name, quantity, unit, expiresAt }] } or a single item   add items
+//  DELETE                                           empty the pantry
+import { PANTRY_MAX_ITEMS, pantryOwner, getPantry, addItems, clearPantry, validateItemInput, sortByExpiry, daysUntilExpiry } from "../../lib/pantry.js";
+import { withApi } from "../../lib/middleware.js";
+import { sendError } from "../../lib/errors.js";
+
+const ADD_MAX = Number(process.env.PANTRY_ADD_MAX || 50);
+
+export default withApi({ endpoint: "pantry", methods: ["GET", "POST", "DELETE"] }, async (req, res) => {
+  const owner = pantryOwner(req);
+  if (!owner) return sendError(res, 400, "Invalid X-User-Id header");
+
+  if (req.method === "GET") {
+    const pantry = await getPantry(owner);
+    const items = sortByExpiry(pantry.items).map(item => ({ ...item, expiresInDays: daysUntilExpiry(item) }));
+    return res.json({ items, updatedAt: pantry.updatedAt });
+  }
+
+  if (req.method === "DELETE") {
+    await clearPantry(owner);
+    return res.json({ cleared: true });
+  }
+
+  const body = req.body || {};
+  const inputs = Array.isArray(body.items) ? body.items : [body];
+  if (inputs.length === 0) return sendError(res, 400, "items must be a non-empty array");
+  if (inputs.length > ADD_MAX) return sendError(res, 400, `At most ${ADD_MAX} items per request`);
+  const items = [];
+  for (const [i, input] of inputs.entries()) {
+    const valid = validateItemInput(input);
+    if (!valid.ok) return sendError(res, 400, `items[${i}]: ${valid.error}`);
+    items.push(valid.fields);
+  }
+  const { added, skipped } = await addItems(owner, items);
+  if (added.length === 0) return sendError(res, 409, `The pantry is full (at most ${PANTRY_MAX_ITEMS} items)`);
+  return res.status(201).json({ items: added, skipped });
+});
@@ -1,25 +1,49 @@
 import { MOCK_PARSED_ITEMS } from "../lib/mockData.js";
-import { requireProxyKey, extractBase64 } from "../lib/utils.js";
+import { extractBase64, validateImageBase64 } from "../lib/utils.js";
+import { getVisionProvider, parsePantryImage } from "../lib/vision.js";
+import { withApi } from "../lib/middleware.js";
+import { sendError } from "../lib/errors.js";
+import { pantryOwner, addItems, detectedItems } from "../lib/pantry.js";
+import { log } from "../lib/log.js";
+import { captureException } from "../lib/sentry.js";
 
-export default async function handler(req, res) {
-  if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
-  if (!requireProxyKey(req, res)) return;
+// with { addToPantry: true } the detected items are also stored in the caller's pantry (lib/pantry.js)
+async function respond(req, res, result) {
+  if (req.body?.addToPantry !== true) return res.json(result);
+  const owner = pantryOwner(req);
+  if (!owner) return sendError(res, 400, "Invalid X-User-Id header");
+  return res.json({ ...result, pantry: await addItems(owner, detectedItems(result.items)) });
+}
+
+export default withApi({ endpoint: "parse-image", methods: ["POST"], metered: true }, async (req, res) => {
   const MOCK = (process.env.MOCK || "true") === "true";
   const body = req.body;
   const imageBase64 = extractBase64(body?.imageBase64 || body?.image);
   if (!imageBase64) {
-    return res.status(400).json({ error: "Missing imageBase64 in request body" });
+    return sendError(res, 400, "Missing imageBase64 in request body");
   }
+  const image = validateImageBase64(imageBase64);
+  if (!image.ok) return sendError(res, image.status, image.error);
   if (MOCK) {
-    return res.json({
+    return respond(req, res, {
       items: MOCK_PARSED_ITEMS,
       rawVisionData: null,
       confidenceSummary: "high",
       mode: "mock"
     });
   }
-  return res.status(501).json({
-    error: "Not implemented in real mode. Please add code to call Google Vision or OpenAI Vision in api/parse-image.js.",
-    hint: "Set MOCK=false and implement Vision API logic in this file."
-  });
-}
+  const providerName = process.env.VISION_PROVIDER || "llm";
+  const provider = getVisionProvider(providerName);
+  if (!provider) return sendError(res, 500, `Unknown VISION_PROVIDER "${providerName}"`, { code: "not_configured" });
+  const configError = provider.configError();
+  if (configError) return sendError(res, 500, configError, { code: "not_configured" });
+  let result;
+  try {
+    result = await parsePantryImage(provider, image);
+  } catch (err) {
+    log.error("image parsing failed", { provider: providerName, error: err });
+    captureException(err, { provider: providerName });
+    return sendError(res, 502, "Image parsing failed");
+  }
+  return respond(req, res, { ...result, provider: providerName });
+});
@@ -0,0 +1,64 @@
+// api/shopping-list.js
+// POST { recipes | recipeKeys | mealPlanId, usePantry = true, format = "json" | "text" | "csv" }
+// Consolidated shopping list (lib/shoppingList.js) for the given recipes, minus what the caller's pantry holds.
+// recipeKeys are the `cacheKey` values returned by /api/generate-meals ("recipe:…", or { key, titles } to pick
+// recipes); cached recipes have the generated portions, before scaling to targets. A meal plan counts every cooked slot.
+import { buildShoppingList, shoppingListText, shoppingListCsv } from "../lib/shoppingList.js";
+import { pantryOwner, getPantry } from "../lib/pantry.js";
+import { getMealPlan } from "../lib/mealPlan.js";
+import { cachedRecipes } from "../lib/recipes.js";
+import { withApi } from "../lib/middleware.js";
+import { sendError } from "../lib/errors.js";
+
+const MAX_RECIPES = Number(process.env.SHOPPING_LIST_MAX_RECIPES || 50);
+const FORMATS = ["json", "text", "csv"];
+
+function isRecipe(r) {
+  return r && typeof r === "object" && Array.isArray(r.ingredients);
+}
+
+export default withApi({ endpoint: "shopping-list", methods: ["POST"] }, async (req, res) => {
+  const body = req.body || {};
+  const format = String(req.query?.format || body.format || "json").toLowerCase();
+  if (!FORMATS.includes(format)) return sendError(res, 400, `format must be one of ${FORMATS.join(", ")}`);
+  const owner = pantryOwner(req);
+  if (!owner) return sendError(res, 400, "Invalid X-User-Id header");
+
+  const recipes = [];
+  if (body.recipes !== undefined) {
+    if (!Array.isArray(body.recipes) || !body.recipes.every(isRecipe)) return sendError(res, 400, "recipes must be an array of recipes with ingredients");
+    recipes.push(...body.recipes);
+  }
+  if (body.recipeKeys !== undefined) {
+    if (!Array.isArray(body.recipeKeys)) return sendError(res, 400, "recipeKeys must be an array");
+    for (const ref of body.recipeKeys) {
+      const key = typeof ref === "string" ? ref : ref?.key;
+      if (typeof key !== "string" || !key.startsWith("recipe:")) return sendError(res, 400, "recipeKeys entries must be recipe cache keys");
+      const cached = await cachedRecipes(key);
+      if (!cached) return sendError(res, 404, "Recipe cache key not found or expired", { key });
+      const titles = Array.isArray(ref?.titles) ? ref.titles.map(t => String(t).toLowerCase()) : null;
+      recipes.push(...cached.filter(r => !titles || titles.includes(String(r.title).toLowerCase())));
+    }
+  }
+  if (body.mealPlanId !== undefined) {
+    const plan = await getMealPlan(String(body.mealPlanId), owner);
+    if (!plan) return sendError(res, 404, "Meal plan not found");
+    for (const slot of plan.schedule.flatMap(d => d.slots)) {
+      if (!slot.leftoverFrom) recipes.push(plan.recipes[slot.recipeId]);
+    }
+  }
+  if (recipes.length === 0) return sendError(res, 400, "Provide recipes, recipeKeys or mealPlanId");
+  if (recipes.length > MAX_RECIPES) return sendError(res, 400, `At most ${MAX_RECIPES} recipes per list`);
+
+  const pantryItems = body.usePantry === false ? [] : (await getPantry(owner)).items;
+  const list = buildShoppingList(recipes, pantryItems);
+
+  if (format === "json") return res.json(list);
+  if (format === "csv") {
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", 'attachment; filename="shopping-list.csv"');
+    return res.status(200).send(shoppingListCsv(list));
+  }
+  res.setHeader("Content-Type", "text/plain; charset=utf-8");
+  return res.status(200).send(shoppingListText(list));
+});
@@ -0,0 +1,32 @@
+// api/targets.js
+// Daily calorie and macro targets (lib/nutritionTargets.js) for the caller (per API key and X-User-Id).
+//  GET                                         the saved targets (404 when none)
+//  POST { userProfile, save = true }           compute targets with Mifflin-St Jeor; saved for food log summaries
+//  DELETE                                      forget the saved targets
+import { computeTargets, getSavedTargets, saveTargets, deleteSavedTargets } from "../lib/nutritionTargets.js";
+import { pantryOwner } from "../lib/pantry.js";
+import { withApi } from "../lib/middleware.js";
+import { sendError } from "../lib/errors.js";
+
+export default withApi({ endpoint: "targets", methods: ["GET", "POST", "DELETE"] }, async (req, res) => {
+  const owner = pantryOwner(req);
+  if (!owner) return sendError(res, 400, "Invalid X-User-Id header");
+
+  if (req.method === "GET") {
+    const saved = await getSavedTargets(owner);
+    if (!saved) return sendError(res, 404, "No saved targets; POST a userProfile first");
+    return res.json(saved);
+  }
+
+  if (req.method === "DELETE") {
+    await deleteSavedTargets(owner);
+    return res.json({ deleted: true });
+  }
+
+  const { userProfile, save = true } = req.body || {};
+  const result = computeTargets(userProfile);
+  if (!result.ok) return sendError(res, 400, result.error, result.missing ? { missing: result.missing } : {});
+  const { ok, ...computed } = result;
+  if (save === false) return res.json({ ...computed, saved: false });
+  return res.json({ ...(await saveTargets(owner, computed)), saved: true });
+});
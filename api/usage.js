@@ -0,0 +1,14 @@
+// api/usage.js
+// Upstream usage of the calling API key (LLM tokens, Spoonacular points, Google Vision requests, estimated cost),
+// per day and month with a breakdown per endpoint, and the state of its budget. See lib/usage.js.
+//  GET ?days=7&months=1
+import { usageReport, budgetStatus, reportRange } from "../lib/usage.js";
+import { withApi } from "../lib/middleware.js";
+import { sendError } from "../lib/errors.js";
+
+export default withApi({ endpoint: "usage", methods: ["GET"] }, async (req, res) => {
+  const range = reportRange(req.query);
+  if (!range.ok) return sendError(res, 400, range.error);
+  const usage = await usageReport(req.apiKey.id, range);
+  return res.json({ ...usage, budget: await budgetStatus(req.apiKey) });
+});
@@ -0,0 +1,270 @@
+// lib/allergens.js
+// Allergen and diet taxonomy used to post-check generated recipes. Each category lists ingredient
+// terms (matched as whole words, plurals included), `except` phrases that contain a term but are not
+// that food ("eggplant" needs none, "coconut milk" does), and `freeFrom` prefixes that mark a
+// substitute ("dairy-free cheese"). Allergies and diets resolve to sets of categories.
+// The lists err on the side of flagging: a false positive drops a recipe, a false negative hurts someone.
+
+export const CATEGORIES = {
+  peanuts: {
+    label: "peanuts",
+    terms: ["peanut", "groundnut", "arachis oil", "monkey nut", "satay"],
+    freeFrom: ["peanut-free", "nut-free"]
+  },
+  tree_nuts: {
+    label: "tree nuts",
+    terms: ["almond", "cashew", "walnut", "pecan", "pistachio", "hazelnut", "filbert", "macadamia", "brazil nut", "pine nut",
+      "chestnut", "praline", "marzipan", "frangipane", "gianduja", "nutella", "nut butter", "mixed nuts", "nut"],
+    except: ["water chestnut"],
+    freeFrom: ["nut-free"]
+  },
+  milk: {
+    label: "milk/dairy",
+    terms: ["milk", "butter", "buttermilk", "cheese", "cream", "yogurt", "yoghurt", "whey", "casein", "ghee", "kefir", "lactose",
+      "parmesan", "mozzarella", "cheddar", "feta", "ricotta", "mascarpone", "paneer", "halloumi", "brie", "gouda", "custard",
+      "creme fraiche", "crème fraîche", "half-and-half", "curd"],
+    except: ["coconut milk", "almond milk", "oat milk", "soy milk", "soya milk", "rice milk", "cashew milk", "hemp milk",
+      "peanut butter", "almond butter", "cashew butter", "nut butter", "seed butter", "sunflower butter", "apple butter",
+      "cocoa butter", "shea butter", "butter bean", "cream of tartar", "coconut cream", "bean curd"],
+    freeFrom: ["dairy-free", "non-dairy", "vegan", "plant-based"]
+  },
+  eggs: {
+    label: "eggs",
+    terms: ["egg", "egg white", "egg yolk", "mayonnaise", "mayo", "meringue", "albumen", "aioli"],
+    except: ["flax egg", "chia egg", "egg replacer"],
+    freeFrom: ["egg-free", "eggless", "vegan", "plant-based"]
+  },
+  fish: {
+    label: "fish",
+    terms: ["fish", "salmon", "tuna", "cod", "anchovy", "anchovies", "sardine", "mackerel", "trout", "tilapia", "halibut",
+      "haddock", "sea bass", "snapper", "pollock", "herring", "catfish", "swordfish", "bonito", "dashi", "worcestershire",
+      "caesar dressing"],
+    freeFrom: ["vegan", "plant-based"]
+  },
+  shellfish: {
+    label: "crustacean shellfish",
+    terms: ["shrimp", "prawn", "crab", "lobster", "crayfish", "crawfish", "langoustine", "krill", "scampi"],
+    except: ["crab apple"],
+    freeFrom: ["vegan", "plant-based"]
+  },
+  molluscs: {
+    label: "molluscs",
+    terms: ["clam", "mussel", "oyster", "scallop", "squid", "calamari", "octopus", "snail", "escargot", "cockle", "abalone"],
+    except: ["oyster mushroom"],
+    freeFrom: ["vegan", "plant-based"]
+  },
+  soy: {
+    label: "soy",
+    terms: ["soy", "soya", "soybean", "tofu", "tempeh", "edamame", "miso", "tamari", "shoyu", "natto", "bean curd"],
+    freeFrom: ["soy-free"]
+  },
+  wheat: {
+    label: "wheat",
+    terms: ["wheat", "flour", "bread", "breadcrumb", "panko", "pasta", "spaghetti", "penne", "macaroni", "lasagna", "lasagne",
+      "noodle", "couscous", "bulgur", "semolina", "seitan", "farro", "spelt", "durum", "tortilla", "pita", "naan", "cracker",
+      "crouton", "orzo", "udon", "ramen", "bun", "bagel", "croissant", "pastry", "wrap", "soy sauce"],
+    except: ["buckwheat flour", "buckwheat", "rice noodle", "glass noodle", "shirataki noodle", "zucchini noodle", "konjac noodle", "rice flour",
+      "almond flour", "coconut flour", "chickpea flour", "oat flour", "tapioca flour", "potato flour", "cornflour", "corn flour",
+      "sorghum flour", "millet flour", "teff flour", "cassava flour", "quinoa flour",
+      "corn tortilla", "rice paper", "lettuce wrap"],
+    freeFrom: ["gluten-free", "wheat-free"]
+  },
+  gluten: {
+    label: "gluten",
+    // wheat terms are added below
+    terms: ["gluten", "barley", "rye", "malt", "triticale", "beer"],
+    freeFrom: ["gluten-free"]
+  },
+  sesame: { label: "sesame", terms: ["sesame", "tahini", "halva", "gomasio", "za'atar", "zaatar"], freeFrom: ["sesame-free"] },
+  mustard: { label: "mustard", terms: ["mustard"] },
+  celery: { label: "celery", terms: ["celery", "celeriac"] },
+  lupin: { label: "lupin", terms: ["lupin", "lupine"] },
+  sulphites: { label: "sulphites", terms: ["sulphite", "sulfite", "wine", "dried apricot"] },
+
+  // diet-only categories
+  meat: {
+    label: "meat",
+    terms: ["beef", "steak", "veal", "lamb", "mutton", "goat", "venison", "bison", "rabbit", "liver", "mince", "ground beef",
+      "meatball", "burger", "jerky", "bone broth", "oxtail", "brisket"],
+    except: ["goat cheese", "goat's cheese", "goats cheese", "goat milk", "goat's milk"],
+    freeFrom: ["vegan", "vegetarian", "veggie", "plant-based", "meatless", "meat-free"]
+  },
+  pork: {
+    label: "pork",
+    terms: ["pork", "bacon", "ham", "sausage", "salami", "pepperoni", "chorizo", "prosciutto", "pancetta", "guanciale", "lard",
+      "pork rind", "gammon"],
+    except: ["turkey bacon", "beef bacon", "chicken sausage", "turkey sausage", "beef sausage", "halal sausage", "turkey ham"],
+    freeFrom: ["vegan", "vegetarian", "veggie", "plant-based", "meatless", "meat-free"]
+  },
+  poultry: {
+    label: "poultry",
+    terms: ["chicken", "turkey", "duck", "goose", "quail", "turkey bacon", "chicken sausage", "turkey sausage"],
+    freeFrom: ["vegan", "vegetarian", "veggie", "plant-based", "meatless", "meat-free"]
+  },
+  gelatin: { label: "gelatin", terms: ["gelatin", "gelatine"], freeFrom: ["vegan", "plant-based"] },
+  honey: { label: "honey", terms: ["honey"] },
+  alcohol: {
+    label: "alcohol",
+    terms: ["wine", "beer", "rum", "vodka", "brandy", "sake", "mirin", "sherry", "whiskey", "whisky", "bourbon", "liqueur",
+      "cognac", "gin", "tequila", "cider", "vermouth", "marsala"],
+    except: ["wine vinegar", "cider vinegar"],
+    freeFrom: ["non-alcoholic", "alcohol-free"]
+  },
+  high_carb: {
+    label: "high-carb foods",
+    terms: ["sugar", "honey", "maple syrup", "agave", "rice", "pasta", "bread", "potato", "flour", "oat", "oatmeal", "corn",
+      "quinoa", "couscous", "tortilla", "noodle", "banana", "lentil", "chickpea", "bean", "date", "raisin", "cereal"],
+    except: ["cauliflower rice", "green bean", "almond flour", "coconut flour", "shirataki noodle", "zucchini noodle",
+      "konjac noodle", "cornflour", "corn starch", "cornstarch", "rice vinegar", "soybean"],
+    freeFrom: ["sugar-free", "keto", "low-carb"]
+  }
+};
+CATEGORIES.gluten.terms.push(...CATEGORIES.wheat.terms);
+CATEGORIES.gluten.except = [...CATEGORIES.wheat.except];
+
+const ALLERGY_ALIASES = {
+  peanut: ["peanuts"], peanuts: ["peanuts"], groundnut: ["peanuts"],
+  nut: ["tree_nuts", "peanuts"], nuts: ["tree_nuts", "peanuts"], "tree nut": ["tree_nuts"], "tree nuts": ["tree_nuts"],
+  milk: ["milk"], dairy: ["milk"], lactose: ["milk"], casein: ["milk"],
+  egg: ["eggs"], eggs: ["eggs"],
+  fish: ["fish"],
+  shellfish: ["shellfish", "molluscs"], crustacean: ["shellfish"], crustaceans: ["shellfish"],
+  mollusc: ["molluscs"], molluscs: ["molluscs"], mollusk: ["molluscs"], mollusks: ["molluscs"],
+  soy: ["soy"], soya: ["soy"],
+  wheat: ["wheat"], gluten: ["gluten"], celiac: ["gluten"], coeliac: ["gluten"],
+  sesame: ["sesame"], mustard: ["mustard"], celery: ["celery"], lupin: ["lupin"],
+  sulphite: ["sulphites"], sulphites: ["sulphites"], sulfite: ["sulphites"], sulfites: ["sulphites"]
+};
+
+const ANIMAL_FLESH = ["meat", "pork", "poultry", "fish", "shellfish", "molluscs", "gelatin"];
+export const DIETS = {
+  vegan: [...ANIMAL_FLESH, "milk", "eggs", "honey"],
+  vegetarian: ANIMAL_FLESH,
+  pescatarian: ["meat", "pork", "poultry", "gelatin"],
+  "gluten-free": ["gluten"],
+  "dairy-free": ["milk"],
+  keto: ["high_carb"],
+  halal: ["pork", "alcohol", "gelatin"],
+  kosher: ["pork", "shellfish", "molluscs", "gelatin"]
+};
+const DIET_ALIASES = {
+  "plant-based": "vegan", veggie: "vegetarian", pescetarian: "pescatarian", "gluten free": "gluten-free", celiac: "gluten-free",
+  coeliac: "gluten-free", "dairy free": "dairy-free", "lactose-free": "dairy-free", ketogenic: "keto", "low-carb": "keto"
+};
+
+function normalize(text) {
+  return String(text || "").toLowerCase().replace(/[’`]/g, "'").replace(/\s+/g, " ").trim();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// whole-word match with optional plural ("egg" matches "eggs", not "eggplant")
+const termPatterns = new Map();
+function termPattern(term) {
+  if (!termPatterns.has(term)) termPatterns.set(term, new RegExp(`(^|[^a-z])${escapeRegExp(term)}(e?s)?(?![a-z])`));
+  return termPatterns.get(term);
+}
+
+// Returns the term of `category` found in an ingredient name, or null.
+export function matchCategory(ingredientName, category) {
+  const def = CATEGORIES[category];
+  let text = normalize(ingredientName);
+  if ((def.freeFrom || []).some(prefix => termPattern(prefix).test(text))) return null;
+  for (const phrase of def.except || []) text = text.replace(new RegExp(termPattern(phrase).source, "g"), "$1 ");
+  // longest terms first so "peanut butter" reports better than "butter"
+  const terms = [...def.terms].sort((a, b) => b.length - a.length);
+  return terms.find(term => termPattern(term).test(text)) || null;
+}
+
+export function normalizeDiet(diet) {
+  const name = normalize(diet).replace(/_/g, "-");
+  if (!name || name === "none") return null;
+  return DIETS[name] ? name : DIET_ALIASES[name] || name;
+}
+
+// Resolves { diet, allergies } to the checks to run. Unknown allergies are matched literally;
+// unknown diets are reported (unknownDiet) rather than silently ignored.
+export function complianceRules({ diet = null, allergies = [] } = {}) {
+  const checks = [];
+  const seen = new Set();
+  const add = (rule, category) => {
+    if (seen.has(`${rule}:${category}`)) return;
+    seen.add(`${rule}:${category}`);
+    checks.push({ rule, category });
+  };
+
+  const normalizedAllergies = [];
+  const customTerms = [];
+  for (const raw of Array.isArray(allergies) ? allergies : [allergies]) {
+    const allergy = normalize(raw);
+    if (!allergy || allergy === "none") continue;
+    normalizedAllergies.push(allergy);
+    const categories = ALLERGY_ALIASES[allergy] || (CATEGORIES[allergy.replace(/ /g, "_")] ? [allergy.replace(/ /g, "_")] : null);
+    if (categories) categories.forEach(category => add(`allergy:${allergy}`, category));
+    else customTerms.push(allergy);
+  }
+
+  const dietName = normalizeDiet(diet);
+  const known = dietName && DIETS[dietName];
+  if (known) known.forEach(category => add(`diet:${dietName}`, category));
+  return {
+    diet: known ? dietName : null,
+    unknownDiet: dietName && !known ? dietName : null,
+    allergies: normalizedAllergies,
+    checks,
+    customTerms
+  };
+}
+
+export function rulesActive(rules) {
+  return rules.checks.length > 0 || rules.customTerms.length > 0;
+}
+
+// Checks a recipe's ingredients. Returns { compliant, diet, allergies, violations: [{ ingredient, rule, category, match }] }.
+export function checkRecipe(recipe, rules) {
+  const violations = [];
+  for (const ingredient of recipe.ingredients || []) {
+    const name = ingredient?.name || "";
+    for (const { rule, category } of rules.checks) {
+      const match = matchCategory(name, category);
+      if (match) violations.push({ ingredient: name, rule, category, match });
+    }
+    for (const term of rules.customTerms) {
+      if (termPattern(term).test(normalize(name))) violations.push({ ingredient: name, rule: `allergy:${term}`, category: null, match: term });
+    }
+  }
+  // kosher also forbids combining meat and dairy in one dish
+  if (rules.diet === "kosher") {
+    const names = (recipe.ingredients || []).map(i => i?.name || "");
+    const meat = names.find(n => matchCategory(n, "meat") || matchCategory(n, "poultry"));
+    const dairy = names.find(n => matchCategory(n, "milk"));
+    if (meat && dairy) violations.push({ ingredient: `${meat} + ${dairy}`, rule: "diet:kosher", category: "meat_with_dairy", match: null });
+  }
+  const report = { compliant: violations.length === 0, diet: rules.diet, allergies: rules.allergies, violations };
+  if (rules.unknownDiet) report.unknownDiet = rules.unknownDiet;
+  return report;
+}
+
+export function describeViolation(v) {
+  const what = v.category ? CATEGORIES[v.category]?.label || v.category.replace(/_/g, " ") : v.match;
+  return `${v.ingredient} contains ${what} (${v.rule})`;
+}
+
+// Prompt lines naming everything that must be left out, so most recipes pass the post-check first time.
+export function restrictionPrompt(rules) {
+  const lines = [];
+  const byRule = new Map();
+  for (const { rule, category } of rules.checks) {
+    if (!byRule.has(rule)) byRule.set(rule, []);
+    byRule.get(rule).push(CATEGORIES[category].label);
+  }
+  for (const [rule, labels] of byRule) {
+    const [kind, name] = rule.split(":");
+    lines.push(`${kind === "allergy" ? `Allergy to ${name}` : `Diet ${name}`}: no ${labels.join(", ")} in any form.`);
+  }
+  for (const term of rules.customTerms) lines.push(`Allergy to ${term}: no ${term} in any form.`);
+  if (rules.diet === "kosher") lines.push("Diet kosher: never combine meat and dairy.");
+  return lines.join("\n");
+}
@@ -0,0 +1,224 @@
+// lib/apiKeys.js
+// Per-client API keys. A key looks like `fk_<id>_<secret>`; only sha256(secret) is stored.
+// Key records: { id, name, secretHash, signingSalt, scopes: ["chat", ...] or ["*"], dailyQuota, budget (see lib/usage.js),
+// expiresAt, requireSignature, createdAt, revokedAt }. They come from two places:
+//  - API_KEYS_JSON (a JSON array) or API_KEYS_FILE: read-only, managed with deploys
+//  - lib/store.js (Redis or in-memory): issued, rotated and revoked through /api/admin/keys
+// PROXY_SECRET still works as a legacy all-scopes key. Requests without any key are refused
+// unless ALLOW_OPEN_PROXY=true (local development only).
+//
+// Request signing (optional, mandatory for keys with requireSignature): send X-Key-Id, X-Timestamp (unix seconds)
+// and X-Signature = hex HMAC-SHA256 keyed with the key's signing secret over
+// `${timestamp}\n${METHOD}\n${path with query}\n${hex sha256(JSON body, or "" when empty)}`.
+// Each signature is accepted once within SIGNATURE_TOLERANCE_SECONDS of its timestamp.
+// The signing secret is hex HMAC-SHA256(KEY_SIGNING_SECRET, `sign:${id}:${signingSalt}`): it is returned once when
+// the key is issued and derived again on each request, so reading the key store is not enough to sign.
+// Webhooks for the key (lib/jobs.js) are signed the same way with its webhook secret (`webhook:` instead of `sign:`).
+
+import crypto from "crypto";
+import { readFileSync } from "fs";
+import { kvGet, kvSet, kvIncr, kvSetAdd, kvSetMembers } from "./store.js";
+import { log } from "./log.js";
+
+const SIGNATURE_TOLERANCE_SECONDS = Number(process.env.SIGNATURE_TOLERANCE_SECONDS || 300);
+const ROTATION_GRACE_SECONDS = Number(process.env.KEY_ROTATION_GRACE_SECONDS || 86400);
+const KEY_PATTERN = /^fk_([a-f0-9]{16})_([A-Za-z0-9_-]{20,})$/;
+const SIGNING_PEPPER = process.env.KEY_SIGNING_SECRET || "";
+// Redis set of issued key ids, so concurrent issues never drop one
+const INDEX_KEY = "apikeys:ids";
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex");
+}
+
+// compares fixed-length digests so neither content nor length leaks through timing
+export function safeEqual(a, b) {
+  const bufA = Buffer.from(sha256(a), "hex");
+  const bufB = Buffer.from(sha256(b), "hex");
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+export function signingConfigured() {
+  return SIGNING_PEPPER.length > 0;
+}
+
+// A secret only the key holder and this server can compute; null without KEY_SIGNING_SECRET or a signingSalt.
+function derivedSecret(record, purpose) {
+  if (!signingConfigured() || !record?.signingSalt) return null;
+  return crypto.createHmac("sha256", SIGNING_PEPPER).update(`${purpose}:${record.id}:${record.signingSalt}`).digest("hex");
+}
+
+// the secret webhooks for this key are signed with; null when it can't be derived (see derivedSecret)
+export function webhookSecretFor(record) {
+  return derivedSecret(record, "webhook");
+}
+
+let configKeys = null;
+function loadConfigKeys() {
+  if (configKeys) return configKeys;
+  configKeys = new Map();
+  try {
+    const raw = process.env.API_KEYS_JSON || (process.env.API_KEYS_FILE ? readFileSync(process.env.API_KEYS_FILE, "utf8") : "");
+    for (const record of raw ? JSON.parse(raw) : []) {
+      if (record?.id && record?.secretHash) configKeys.set(record.id, { ...record, source: "config" });
+    }
+  } catch (e) {
+    log.warn("API key config could not be loaded", { error: String(e) });
+  }
+  return configKeys;
+}
+
+export async function getKey(id) {
+  const fromConfig = loadConfigKeys().get(id);
+  if (fromConfig) return fromConfig;
+  const stored = await kvGet(`apikey:${id}`);
+  return stored ? { ...stored, source: "store" } : null;
+}
+
+export async function listKeys() {
+  const ids = await kvSetMembers(INDEX_KEY);
+  const stored = (await Promise.all(ids.map(id => kvGet(`apikey:${id}`)))).filter(Boolean).map(k => ({ ...k, source: "store" }))
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  return [...loadConfigKeys().values(), ...stored].map(publicKey);
+}
+
+// what admin endpoints may show: everything except the secret hash and salt
+export function publicKey(record) {
+  const { secretHash, signingSalt, ...rest } = record;
+  return rest;
+}
+
+// Issues a new key. The plaintext key and its signing and webhook secrets are returned once and never stored.
+export async function issueKey({ name = "", scopes = ["*"], dailyQuota = null, budget = null, expiresAt = null, requireSignature = false } = {}) {
+  const id = crypto.randomBytes(8).toString("hex");
+  const secret = crypto.randomBytes(24).toString("base64url");
+  const record = {
+    id,
+    name: String(name),
+    secretHash: sha256(secret),
+    signingSalt: crypto.randomBytes(16).toString("hex"),
+    scopes: Array.isArray(scopes) && scopes.length ? scopes.map(String) : ["*"],
+    dailyQuota: dailyQuota ? Number(dailyQuota) : null,
+    budget,
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+    requireSignature: !!requireSignature,
+    createdAt: new Date().toISOString(),
+    revokedAt: null
+  };
+  await kvSet(`apikey:${id}`, record, 0);
+  await kvSetAdd(INDEX_KEY, id);
+  return { key: `fk_${id}_${secret}`, signingSecret: derivedSecret(record, "sign"), webhookSecret: webhookSecretFor(record), record: publicKey(record) };
+}
+
+export async function revokeKey(id) {
+  const record = await getKey(id);
+  if (!record || record.source !== "store") return null;
+  const { source, ...stored } = record;
+  stored.revokedAt = new Date().toISOString();
+  await kvSet(`apikey:${id}`, stored, 0);
+  return publicKey(stored);
+}
+
+// Replaces a stored key's usage budget (null removes it).
+export async function setBudget(id, budget) {
+  const record = await getKey(id);
+  if (!record || record.source !== "store") return null;
+  const { source, ...stored } = record;
+  stored.budget = budget;
+  await kvSet(`apikey:${id}`, stored, 0);
+  return publicKey(stored);
+}
+
+// Issues a replacement with the same settings; the old key keeps working for the grace period.
+export async function rotateKey(id) {
+  const record = await getKey(id);
+  if (!record || record.source !== "store" || record.revokedAt) return null;
+  const issued = await issueKey(record);
+  const graceEnds = new Date(Date.now() + ROTATION_GRACE_SECONDS * 1000).toISOString();
+  const { source, ...stored } = record;
+  if (!stored.expiresAt || stored.expiresAt > graceEnds) stored.expiresAt = graceEnds;
+  await kvSet(`apikey:${id}`, stored, 0);
+  return { ...issued, previous: publicKey(stored) };
+}
+
+function presentedKey(req) {
+  const header = req.headers["x-proxy-key"] || req.headers["X-Proxy-Key"];
+  if (header) return String(header);
+  const auth = String(req.headers["authorization"] || "");
+  return auth.startsWith("Bearer ") ? auth.slice(7).trim() : "";
+}
+
+function bodyDigest(req) {
+  const body = req.body;
+  // Vercel may hand bodiless requests an empty object
+  if (body === undefined || body === null || body === "" || (typeof body === "object" && Object.keys(body).length === 0)) return sha256("");
+  return sha256(typeof body === "string" ? body : JSON.stringify(body));
+}
+
+async function verifySignature(req, record) {
+  const timestamp = Number(req.headers["x-timestamp"]);
+  const signature = String(req.headers["x-signature"] || "").toLowerCase();
+  if (!Number.isFinite(timestamp) || !signature) return "Missing X-Timestamp or X-Signature";
+  if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) return "Request timestamp outside the allowed window";
+  const payload = `${timestamp}\n${req.method}\n${req.url || ""}\n${bodyDigest(req)}`;
+  const secret = derivedSecret(record, "sign");
+  if (!secret) return "Request signing is not configured for this key";
+  const expected = crypto.createHmac("sha256", secret).update(payload).digest("hex");
+  if (!safeEqual(expected, signature)) return "Invalid request signature";
+  // a signature may only be used once while its timestamp is valid
+  const uses = await kvIncr(`sig:${record.id}:${signature}`, SIGNATURE_TOLERANCE_SECONDS * 2);
+  if (uses !== null && uses > 1) return "Request signature already used";
+  return null;
+}
+
+function secondsUntilUtcMidnight() {
+  const now = new Date();
+  return Math.ceil((Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1) - now.getTime()) / 1000);
+}
+
+// Identifies the caller and checks scope, expiry, revocation and daily quota for `endpoint`.
+// Returns { ok: true, key: { id, name, budget } } or { ok: false, status, message, retryAfter? }.
+export async function authenticate(req, endpoint) {
+  let record = null;
+  const signedKeyId = req.headers["x-key-id"];
+
+  if (signedKeyId) {
+    record = await getKey(String(signedKeyId));
+    if (!record) return { ok: false, status: 401, message: "Unknown key id" };
+    const problem = await verifySignature(req, record);
+    if (problem) return { ok: false, status: 401, message: problem };
+  } else {
+    const presented = presentedKey(req);
+    if (!presented) {
+      if (process.env.ALLOW_OPEN_PROXY === "true") {
+        log.warn("request without API key accepted - ALLOW_OPEN_PROXY=true (development only)");
+        return { ok: true, key: { id: "open", name: "open proxy" } };
+      }
+      return { ok: false, status: 401, message: "Missing API key" };
+    }
+    const match = presented.match(KEY_PATTERN);
+    if (match) {
+      record = await getKey(match[1]);
+      if (!record || !safeEqual(sha256(match[2]), record.secretHash)) return { ok: false, status: 401, message: "Invalid API key" };
+      if (record.requireSignature) return { ok: false, status: 401, message: "This key must sign requests" };
+    } else if (process.env.PROXY_SECRET && safeEqual(presented, process.env.PROXY_SECRET)) {
+      record = { id: "legacy", name: "PROXY_SECRET", scopes: ["*"], dailyQuota: null };
+    } else {
+      return { ok: false, status: 401, message: "Invalid API key" };
+    }
+  }
+
+  if (record.revokedAt) return { ok: false, status: 401, message: "API key revoked" };
+  if (record.expiresAt && new Date(record.expiresAt).getTime() <= Date.now()) return { ok: false, status: 401, message: "API key expired" };
+  const scopes = record.scopes || ["*"];
+  if (!scopes.includes("*") && !scopes.includes(endpoint)) return { ok: false, status: 403, message: `API key is not allowed to call ${endpoint}` };
+
+  if (record.dailyQuota) {
+    const day = new Date().toISOString().slice(0, 10);
+    const used = await kvIncr(`quota:${record.id}:${day}`, 2 * 86400);
+    if (used !== null && used > record.dailyQuota) {
+      return { ok: false, status: 429, message: "Daily quota exceeded", retryAfter: secondsUntilUtcMidnight() };
+    }
+  }
+  return { ok: true, key: { id: record.id, name: record.name || "", budget: record.budget || null } };
+}
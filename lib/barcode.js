@@ -0,0 +1,166 @@
+// lib/barcode.js
+// UPC/EAN product lookup shared by /api/barcode-lookup and the chat assistant's tools.
+// Providers are tried in order (BARCODE_PROVIDERS, default "spoonacular,openfoodfacts,local") and every
+// source is mapped to one schema: { barcode, productName, brand, servingSize, calories, macros, source }.
+// Results, including "not found", are cached through lib/store.js.
+// Optional tuning envs: BARCODE_CACHE_TTL, BARCODE_NOT_FOUND_TTL, BARCODE_CONCURRENCY
+
+import { readFileSync } from "fs";
+import path from "path";
+import { cacheGet, cacheSet } from "./store.js";
+import { createLimiter } from "./utils.js";
+import { recordSpoonacular } from "./usage.js";
+import { upstreamFetch, replaying } from "./upstream.js";
+import { log, noteCache } from "./log.js";
+
+const SPOONACULAR_KEY = process.env.SPOONACULAR_KEY;
+const BARCODE_CACHE_TTL = Number(process.env.BARCODE_CACHE_TTL || 7 * 86400);
+const BARCODE_NOT_FOUND_TTL = Number(process.env.BARCODE_NOT_FOUND_TTL || 3600);
+const CONCURRENCY = Number(process.env.BARCODE_CONCURRENCY || 4);
+const OFF_USER_AGENT = "FitAI-Proxy/1.0 (barcode lookup)";
+
+// in-house / regional products the public databases don't know; keyed by 13-digit GTIN
+// relative to the project root: import.meta is unavailable once Vercel compiles lib/ to CommonJS
+const LOCAL_PRODUCTS = JSON.parse(readFileSync(path.join(process.cwd(), "lib/data/products.json"), "utf8"));
+
+const FORMATS = { 8: "EAN-8", 12: "UPC-A", 13: "EAN-13" };
+
+// GS1 mod-10 check digit: weights 3,1,3,... from the digit next to the check digit
+function checkDigit(body) {
+  let sum = 0;
+  for (let i = 0; i < body.length; i++) {
+    const digit = Number(body[body.length - 1 - i]);
+    sum += digit * (i % 2 === 0 ? 3 : 1);
+  }
+  return (10 - (sum % 10)) % 10;
+}
+
+// Returns { ok: true, code, gtin, format } or { ok: false, error }. `gtin` is the 13-digit form used
+// for caching so a UPC-A and its EAN-13 spelling share an entry.
+export function validateBarcode(input) {
+  const code = String(input ?? "").replace(/[\s-]/g, "");
+  if (!/^\d+$/.test(code)) return { ok: false, error: "Barcode must contain digits only" };
+  const format = FORMATS[code.length];
+  if (!format) return { ok: false, error: "Barcode must be UPC-A (12 digits), EAN-8 (8) or EAN-13 (13)" };
+  if (checkDigit(code.slice(0, -1)) !== Number(code.slice(-1))) return { ok: false, error: "Barcode check digit is invalid" };
+  const gtin = code.length === 12 ? "0" + code : code;
+  return { ok: true, code, gtin, format };
+}
+
+function round1(n) {
+  const v = Number(n);
+  return Number.isFinite(v) ? Math.round(v * 10) / 10 : null;
+}
+
+function spoonacularNutrient(json, name) {
+  const found = (json?.nutrition?.nutrients || []).find(n => String(n.name).toLowerCase() === name);
+  return found ? round1(found.amount) : null;
+}
+
+async function fromSpoonacular({ code }) {
+  const url = `https://api.spoonacular.com/food/products/upc/${code}?apiKey=${SPOONACULAR_KEY}`;
+  const r = await upstreamFetch("spoonacular", url);
+  recordSpoonacular(r);
+  if (r.status === 404) return null;
+  if (!r.ok) throw new Error(`Spoonacular returned ${r.status}`);
+  const json = await r.json();
+  if (!json || json.status === "failure" || !json.title) return null;
+  const servings = json.servings || {};
+  return {
+    productName: json.title,
+    brand: json.brand || null,
+    servingSize: servings.raw || (servings.size ? `${servings.size} ${servings.unit || ""}`.trim() : null),
+    calories: spoonacularNutrient(json, "calories"),
+    macros: {
+      protein: spoonacularNutrient(json, "protein"),
+      carbs: spoonacularNutrient(json, "carbohydrates"),
+      fat: spoonacularNutrient(json, "fat")
+    }
+  };
+}
+
+// Open Food Facts reports per serving when it knows the serving size, per 100 g otherwise
+async function fromOpenFoodFacts({ gtin }) {
+  const url = `https://world.openfoodfacts.org/api/v2/product/${gtin}.json?fields=product_name,brands,serving_size,nutriments`;
+  const r = await upstreamFetch("openfoodfacts", url, { headers: { "User-Agent": OFF_USER_AGENT } });
+  if (r.status === 404) return null;
+  if (!r.ok) throw new Error(`Open Food Facts returned ${r.status}`);
+  const json = await r.json();
+  const p = json?.product;
+  if (json?.status !== 1 || !p?.product_name) return null;
+  const n = p.nutriments || {};
+  const perServing = n["energy-kcal_serving"] !== undefined && p.serving_size;
+  const pick = field => round1(perServing ? n[`${field}_serving`] : n[`${field}_100g`]);
+  return {
+    productName: p.product_name,
+    brand: p.brands ? String(p.brands).split(",")[0].trim() : null,
+    servingSize: perServing ? p.serving_size : "100 g",
+    calories: pick("energy-kcal"),
+    macros: { protein: pick("proteins"), carbs: pick("carbohydrates"), fat: pick("fat") }
+  };
+}
+
+async function fromLocalTable({ gtin }) {
+  return LOCAL_PRODUCTS[gtin] || null;
+}
+
+const PROVIDERS = {
+  spoonacular: { enabled: () => !!SPOONACULAR_KEY || replaying("spoonacular"), lookup: fromSpoonacular },
+  openfoodfacts: { enabled: () => true, lookup: fromOpenFoodFacts },
+  local: { enabled: () => true, lookup: fromLocalTable }
+};
+
+function providerChain() {
+  const names = (process.env.BARCODE_PROVIDERS || "spoonacular,openfoodfacts,local").split(",").map(s => s.trim().toLowerCase());
+  return names.filter(name => PROVIDERS[name]?.enabled()).map(name => ({ name, ...PROVIDERS[name] }));
+}
+
+export function barcodeLookupConfigured() {
+  return providerChain().length > 0;
+}
+
+// Resolves to { product, cached } where product is null when no source knows the barcode.
+// Throws only when every provider failed outright, since "not found" can't be trusted then; a "not found" from
+// the others while one failed is returned but not cached.
+export async function lookupBarcode(barcode) {
+  const valid = validateBarcode(barcode);
+  if (!valid.ok) throw new Error(valid.error);
+  const key = `barcode:${valid.gtin}`;
+  const cached = await cacheGet(key);
+  noteCache("barcode", cached ? "hit" : "miss");
+  if (cached) return { product: cached.notFound ? null : cached, cached: true };
+
+  let failures = 0;
+  const chain = providerChain();
+  for (const provider of chain) {
+    try {
+      const found = await provider.lookup(valid);
+      if (!found) continue;
+      const product = { barcode: valid.code, ...found, source: provider.name };
+      await cacheSet(key, product, BARCODE_CACHE_TTL);
+      return { product, cached: false };
+    } catch (err) {
+      failures++;
+      log.warn("barcode provider failed", { provider: provider.name, error: String(err) });
+    }
+  }
+  if (chain.length > 0 && failures === chain.length) throw new Error("All barcode providers failed");
+  // a provider that failed might know the product, so only a unanimous "not found" is cached
+  if (failures === 0) await cacheSet(key, { notFound: true }, BARCODE_NOT_FOUND_TTL);
+  return { product: null, cached: false };
+}
+
+// Looks up many barcodes at once; each entry reports its own outcome so one bad code doesn't fail the batch.
+export async function lookupBarcodes(barcodes) {
+  const limit = await createLimiter(CONCURRENCY);
+  return Promise.all(barcodes.map(barcode => limit(async () => {
+    const valid = validateBarcode(barcode);
+    if (!valid.ok) return { barcode: String(barcode), found: false, error: valid.error };
+    try {
+      const { product } = await lookupBarcode(valid.code);
+      return product ? { barcode: valid.code, found: true, product } : { barcode: valid.code, found: false, error: "Product not found" };
+    } catch {
+      return { barcode: valid.code, found: false, error: "Lookup failed" };
+    }
+  })));
+}
@@ -0,0 +1,112 @@
+// lib/cache.js
+// Stale-while-revalidate cache on top of lib/store.js, with request coalescing and daily hit/miss counters.
+// Entries are stored as { value, storedAt, freshUntil } and kept STALE_TTL seconds past freshness:
+//  - fresh: served as is ("hit")
+//  - stale: served as is while one background refresh recomputes it ("stale")
+//  - missing: computed; concurrent callers for the same key wait for that one computation ("coalesced")
+// Coalescing and background refreshes are per instance. On serverless platforms a background refresh only
+// completes if the instance stays alive; otherwise the next stale read starts another one.
+
+import { cacheGet, cacheSet, kvGet, kvIncr, deletePrefix } from "./store.js";
+import { log, noteCache } from "./log.js";
+
+const STALE_TTL = Number(process.env.CACHE_STALE_TTL_SECONDS || 86400);
+const STATS_DAYS = 30;
+export const STAT_KINDS = ["hit", "stale", "miss", "coalesced", "refresh", "error"];
+// key prefixes the admin endpoint may purge; everything else in the store is state, not cache
+export const CACHE_PREFIXES = ["recipe:", "inginfo:", "barcode:"];
+// namespaces that go through getOrCompute() and so have stats
+export const CACHE_NAMESPACES = ["recipe"];
+
+const inflight = new Map();
+
+function statsKey(namespace, day, kind) {
+  return `cachestats:${namespace}:${day}:${kind}`;
+}
+
+// counting must never slow down or fail a request
+function count(namespace, kind) {
+  const day = new Date().toISOString().slice(0, 10);
+  kvIncr(statsKey(namespace, day, kind), (STATS_DAYS + 1) * 86400).catch(() => {});
+}
+
+// Runs compute() once per key at a time and stores its result.
+function computeOnce(key, ttl, compute) {
+  if (inflight.has(key)) return { promise: inflight.get(key), joined: true };
+  const promise = (async () => {
+    try {
+      const value = await compute();
+      const now = Date.now();
+      await cacheSet(key, { value, storedAt: new Date(now).toISOString(), freshUntil: now + ttl * 1000 }, ttl + STALE_TTL);
+      return value;
+    } finally {
+      inflight.delete(key);
+    }
+  })();
+  inflight.set(key, promise);
+  return { promise, joined: false };
+}
+
+// Returns { value, status } with status "hit", "stale", "miss" or "coalesced".
+// `namespace` groups the stats; `skipRead` recomputes (and stores) even when an entry exists.
+export async function getOrCompute(key, { namespace, ttl, skipRead = false }, compute) {
+  let entry = null;
+  if (!skipRead) {
+    try {
+      entry = await cacheGet(key);
+    } catch (e) {
+      log.warn("cache get failed", { namespace, error: String(e) });
+    }
+  }
+
+  if (entry && Date.now() < entry.freshUntil) {
+    count(namespace, "hit");
+    noteCache(namespace, "hit");
+    return { value: entry.value, status: "hit" };
+  }
+  if (entry) {
+    count(namespace, "stale");
+    noteCache(namespace, "stale");
+    if (!inflight.has(key)) {
+      count(namespace, "refresh");
+      computeOnce(key, ttl, compute).promise.catch(err => {
+        count(namespace, "error");
+        log.warn("cache background refresh failed", { namespace, error: String(err) });
+      });
+    }
+    return { value: entry.value, status: "stale" };
+  }
+
+  const { promise, joined } = computeOnce(key, ttl, compute);
+  count(namespace, joined ? "coalesced" : "miss");
+  noteCache(namespace, joined ? "coalesced" : "miss");
+  return { value: await promise, status: joined ? "coalesced" : "miss" };
+}
+
+// The stored value regardless of freshness, or null (no stats recorded).
+export async function peek(key) {
+  const entry = await cacheGet(key);
+  return entry ? entry.value : null;
+}
+
+// Per-day counters for the last `days` days (newest first) plus their sum and hit rate.
+export async function cacheStats(namespace, days = 7) {
+  const today = Date.now();
+  const perDay = [];
+  for (let i = 0; i < Math.min(days, STATS_DAYS); i++) {
+    const day = new Date(today - i * 86400000).toISOString().slice(0, 10);
+    const counts = await Promise.all(STAT_KINDS.map(async kind => Number(await kvGet(statsKey(namespace, day, kind))) || 0));
+    perDay.push({ day, ...Object.fromEntries(STAT_KINDS.map((kind, j) => [kind, counts[j]])) });
+  }
+  const totals = Object.fromEntries(STAT_KINDS.map(kind => [kind, perDay.reduce((sum, d) => sum + d[kind], 0)]));
+  const served = totals.hit + totals.stale + totals.coalesced;
+  const lookups = served + totals.miss;
+  return { namespace, totals, hitRate: lookups ? Math.round(served / lookups * 1000) / 1000 : null, days: perDay };
+}
+
+// Removes cached entries by key prefix. Returns the number of keys deleted, or null when the prefix
+// is not inside one of CACHE_PREFIXES.
+export async function purgeCache(prefix) {
+  if (!CACHE_PREFIXES.some(allowed => prefix.startsWith(allowed))) return null;
+  return deletePrefix(prefix);
+}
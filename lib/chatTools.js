@@ -0,0 +1,212 @@
+// lib/chatTools.js
+// Function-calling tools for the chat assistant, backed by the same code as our own endpoints.
+// runToolLoop() takes an injectable callModel(messages, tools) -> { content, toolCalls: [{ id, name, arguments }] }
+// so the loop is independent of the model provider (and of streaming vs. plain responses).
+
+import { generateRecipes } from "./recipes.js";
+import { lookupBarcode, barcodeLookupConfigured, validateBarcode } from "./barcode.js";
+import { getVisionProvider, parsePantryImage } from "./vision.js";
+import { MACRO_KEYS } from "./nutrients.js";
+import { parseDay, daySummary, weekSummary } from "./foodLog.js";
+import { targetsFor } from "./nutritionTargets.js";
+import { log } from "./log.js";
+
+const MAX_TOOL_STEPS = Number(process.env.CHAT_MAX_TOOL_STEPS || 3);
+const MAX_TOOL_RESULT_CHARS = 4000;
+
+const TOOL_DEFINITIONS = {
+  generate_recipes: {
+    description: "Generate up to 3 recipes (with nutrition per serving) from a list of ingredients, respecting diet and calorie target.",
+    parameters: {
+      type: "object",
+      properties: {
+        ingredients: { type: "array", items: { type: "string" }, description: "Ingredients to cook with" },
+        diet: { type: "string", description: "Diet such as vegan, vegetarian, keto or none" },
+        calorieTarget: { type: "number", description: "Target calories per serving" },
+        servings: { type: "integer", minimum: 1 }
+      },
+      required: ["ingredients"]
+    }
+  },
+  lookup_barcode: {
+    description: "Look up a packaged food product and its nutrition by UPC/EAN barcode.",
+    parameters: {
+      type: "object",
+      properties: { barcode: { type: "string", description: "Digits of the UPC or EAN barcode" } },
+      required: ["barcode"]
+    }
+  },
+  parse_pantry_image: {
+    description: "List the food items visible in the pantry/fridge photo the user attached to this message.",
+    parameters: { type: "object", properties: {} }
+  },
+  get_nutrition_summary: {
+    description: "What the user logged eating for a day or a Monday-Sunday week, compared with their daily calorie and macro targets.",
+    parameters: {
+      type: "object",
+      properties: {
+        period: { type: "string", enum: ["day", "week"] },
+        date: { type: "string", description: "YYYY-MM-DD; defaults to today" }
+      }
+    }
+  }
+};
+
+// Only offer tools that can actually run for this request.
+export function availableTools(context) {
+  const names = ["generate_recipes"];
+  if (barcodeLookupConfigured()) names.push("lookup_barcode");
+  const vision = getVisionProvider();
+  if (context.image && vision && !vision.configError()) names.push("parse_pantry_image");
+  if (context.owner) names.push("get_nutrition_summary");
+  return names.map(name => ({ type: "function", function: { name, ...TOOL_DEFINITIONS[name] } }));
+}
+
+// What the model sees: the essentials, kept small so tool results don't blow the context window.
+function summarizeRecipes(recipes) {
+  return recipes.map(r => ({
+    title: r.title,
+    description: r.description,
+    ingredients: (r.ingredients || []).map(i => `${i.quantity || ""} ${i.name || ""}`.trim()),
+    perServing: Object.fromEntries(MACRO_KEYS.map(key => [key, r.nutrition?.perServing?.[key] ?? null]))
+  }));
+}
+
+function compactComparison(vsTargets) {
+  if (!vsTargets) return null;
+  return Object.fromEntries(Object.entries(vsTargets).map(([key, c]) => [key, { target: c.target, intake: c.intake, remaining: c.remaining, status: c.status }]));
+}
+
+function summarizeNutrition(summary, targetSource) {
+  const common = { period: summary.period, targets: summary.targets, targetSource, vsTargets: compactComparison(summary.vsTargets) };
+  if (summary.period === "week") {
+    return {
+      ...common,
+      start: summary.start,
+      end: summary.end,
+      daysLogged: summary.daysLogged,
+      dailyAverage: summary.dailyAverage,
+      caloriesByDay: Object.fromEntries(summary.days.map(d => [d.date, d.totals.calories]))
+    };
+  }
+  return {
+    ...common,
+    date: summary.date,
+    totals: summary.totals,
+    eaten: summary.entries.map(e => ({ meal: e.meal, name: e.name, servings: e.servings, calories: e.nutrition.calories }))
+  };
+}
+
+const TOOL_EXECUTORS = {
+  async generate_recipes(args, context) {
+    const ingredients = Array.isArray(args.ingredients) ? args.ingredients.map(String).filter(Boolean) : [];
+    if (ingredients.length === 0) return { error: "ingredients must be a non-empty array" };
+    const { recipes } = await generateRecipes({
+      ingredients,
+      diet: args.diet || context.profile?.diet || "none",
+      calorieTarget: Number(args.calorieTarget) || null,
+      servings: Math.max(1, Number(args.servings) || 1),
+      userProfile: context.profile || {}
+    });
+    return { data: { recipes }, summary: { recipes: summarizeRecipes(recipes) } };
+  },
+  async lookup_barcode(args) {
+    const valid = validateBarcode(args.barcode);
+    if (!valid.ok) return { error: valid.error };
+    const { product } = await lookupBarcode(valid.code);
+    if (!product) return { error: "Product not found" };
+    return { data: { product }, summary: { product } };
+  },
+  async parse_pantry_image(args, context) {
+    const result = await parsePantryImage(getVisionProvider(), context.image);
+    return { data: { pantryItems: result.items }, summary: { items: result.items, confidenceSummary: result.confidenceSummary } };
+  },
+  // saved targets (POST /api/targets) first, else computed from the conversation's profile
+  async get_nutrition_summary(args, context) {
+    const day = parseDay(args.date);
+    if (!day.ok) return { error: day.error };
+    const resolved = await targetsFor(context.owner, context.profile);
+    const targets = resolved?.targets || null;
+    const summary = args.period === "week"
+      ? await weekSummary(context.owner, day.date, targets)
+      : await daySummary(context.owner, day.date, targets);
+    return { data: { nutritionSummary: summary }, summary: summarizeNutrition(summary, resolved?.source || null) };
+  }
+};
+
+export async function executeTool(call, context) {
+  const executor = TOOL_EXECUTORS[call.name];
+  if (!executor) return { error: `Unknown tool ${call.name}` };
+  let args = {};
+  try {
+    args = call.arguments ? JSON.parse(call.arguments) : {};
+  } catch {
+    return { error: "Tool arguments were not valid JSON" };
+  }
+  try {
+    return await executor(args, context);
+  } catch (err) {
+    log.warn("chat tool failed", { tool: call.name, error: err.status ? String(err.message) : err });
+    return { error: err.status ? err.message : "Tool failed" };
+  }
+}
+
+// caps every array at `items` entries (noting how many were left out) and every string at `chars` characters
+function shrink(value, items, chars) {
+  if (typeof value === "string") return value.length > chars ? value.slice(0, chars) + "…" : value;
+  if (Array.isArray(value)) {
+    const kept = value.slice(0, items).map(v => shrink(v, items, chars));
+    return value.length > items ? [...kept, `…${value.length - items} more`] : kept;
+  }
+  if (value && typeof value === "object") return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, shrink(v, items, chars)]));
+  return value;
+}
+
+// [items, chars] limits tried in turn, from none to tight
+const SHRINK_STEPS = [[Infinity, Infinity], [10, 300], [5, 150], [3, 80], [1, 40]];
+
+// The tool message for the model: the result shrunk until its JSON fits MAX_TOOL_RESULT_CHARS, so it always parses.
+export function toolMessageContent(outcome) {
+  const value = outcome.error ? { error: outcome.error } : outcome.summary;
+  for (const [items, chars] of SHRINK_STEPS) {
+    const text = JSON.stringify(shrink(value, items, chars));
+    if (text.length <= MAX_TOOL_RESULT_CHARS) return text;
+  }
+  return JSON.stringify({ error: "Tool result was too large to return" });
+}
+
+// Calls the model, runs any requested tools, feeds the results back, and repeats until the model answers
+// in text. After maxSteps rounds of tool use the model is called once more without tools to force an answer.
+export async function runToolLoop({ messages, callModel, context = {}, maxSteps = MAX_TOOL_STEPS, onToolResult }) {
+  const convo = [...messages];
+  const tools = availableTools(context);
+  const results = {};
+  const toolsUsed = [];
+  for (let step = 0; ; step++) {
+    const allowTools = step < maxSteps && tools.length > 0;
+    const out = await callModel(convo, allowTools ? tools : null);
+    const toolCalls = allowTools ? (out.toolCalls || []) : [];
+    if (toolCalls.length === 0) return { reply: out.content || "", results, toolsUsed };
+
+    convo.push({
+      role: "assistant",
+      content: out.content || null,
+      tool_calls: toolCalls.map(tc => ({ id: tc.id, type: "function", function: { name: tc.name, arguments: tc.arguments || "{}" } }))
+    });
+    for (const call of toolCalls) {
+      const outcome = await executeTool(call, context);
+      toolsUsed.push(call.name);
+      if (outcome.data) Object.assign(results, outcome.data);
+      if (onToolResult) onToolResult(call.name, outcome);
+      convo.push({ role: "tool", tool_call_id: call.id, content: toolMessageContent(outcome) });
+    }
+  }
+}
+
+export function suggestActions(results = {}) {
+  if (results.recipes?.length) return ["Suggest different recipes", "Adjust calorie target"];
+  if (results.product) return ["Find recipes using this product", "Compare with a healthier alternative"];
+  if (results.nutritionSummary) return ["Suggest a meal that fits my remaining targets", "Show my week"];
+  if (results.pantryItems?.length) return ["Generate recipes from my pantry", "What am I missing for a balanced week?"];
+  return ["Suggest recipes from my pantry", "Adjust calorie target"];
+}
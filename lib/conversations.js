@@ -0,0 +1,106 @@
+// lib/conversations.js
+// Server-side chat history keyed by conversationId, stored through lib/store.js (Upstash or in-memory).
+// Stored shape: { id, owner, createdAt, updatedAt, profile, turns: [{ role, content, at }] }
+// A conversation belongs to the owner that started it (requestOwner in lib/utils.js); other owners can't read,
+// continue or delete it.
+// Optional tuning envs: CHAT_HISTORY_TTL_SECONDS, CHAT_HISTORY_MAX_TURNS, CHAT_HISTORY_TOKEN_BUDGET
+
+import { kvGet, kvSet, kvDel } from "./store.js";
+import crypto from "crypto";
+
+const HISTORY_TTL_SECONDS = Number(process.env.CHAT_HISTORY_TTL_SECONDS || 7 * 86400);
+const MAX_TURNS = Number(process.env.CHAT_HISTORY_MAX_TURNS || 20);
+const TOKEN_BUDGET = Number(process.env.CHAT_HISTORY_TOKEN_BUDGET || 3000);
+const RECAP_SNIPPET_CHARS = 120;
+const ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+function storeKey(id) {
+  return `conv:${id}`;
+}
+
+export function isValidConversationId(id) {
+  return typeof id === "string" && ID_PATTERN.test(id);
+}
+
+export function newConversation({ owner, profile = {} }) {
+  const now = new Date().toISOString();
+  return { id: crypto.randomUUID(), owner, createdAt: now, updatedAt: now, profile, turns: [] };
+}
+
+// The conversation when `owner` started it, else null.
+export async function getConversation(id, owner) {
+  if (!isValidConversationId(id)) return null;
+  const conv = await kvGet(storeKey(id));
+  return conv && conv.owner === owner ? conv : null;
+}
+
+// whether the id is stored at all, for telling "expired" (start over) from "someone else's" (404)
+export async function conversationExists(id) {
+  return isValidConversationId(id) && (await kvGet(storeKey(id))) !== null;
+}
+
+// a "turn" is one user message plus the assistant reply, so keep MAX_TURNS * 2 messages
+export async function appendTurns(conv, messages) {
+  const at = new Date().toISOString();
+  conv.turns = [...(conv.turns || []), ...messages.map(m => ({ role: m.role, content: m.content, at }))].slice(-MAX_TURNS * 2);
+  conv.updatedAt = at;
+  await kvSet(storeKey(conv.id), conv, HISTORY_TTL_SECONDS);
+  return conv;
+}
+
+export async function deleteConversation(id, owner) {
+  const existing = await getConversation(id, owner);
+  if (!existing) return false;
+  await kvDel(storeKey(id));
+  return true;
+}
+
+// rough heuristic (~4 characters per token for English); good enough for budgeting
+export function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+// Returns the newest turns that fit the token budget as chat messages. Turns that don't fit are
+// collapsed into a single system note listing what the user asked earlier, so context isn't lost entirely.
+export function historyMessages(conv, budget = TOKEN_BUDGET) {
+  const turns = conv?.turns || [];
+  const kept = [];
+  let used = 0;
+  let i = turns.length - 1;
+  for (; i >= 0; i--) {
+    const cost = estimateTokens(turns[i].content) + 4;
+    if (used + cost > budget) break;
+    used += cost;
+    kept.unshift({ role: turns[i].role, content: turns[i].content });
+  }
+  // never start the window on an assistant reply without its question
+  while (kept.length && kept[0].role !== "user") {
+    kept.shift();
+    i++;
+  }
+  const dropped = turns.slice(0, i + 1).filter(t => t.role === "user");
+  if (dropped.length === 0) return kept;
+  const recap = dropped
+    .map(t => `- ${t.content.length > RECAP_SNIPPET_CHARS ? t.content.slice(0, RECAP_SNIPPET_CHARS) + "…" : t.content}`)
+    .join("\n");
+  return [{ role: "system", content: `Earlier in this conversation the user asked:\n${recap}` }, ...kept];
+}
+
+const PROFILE_FIELDS = [
+  ["goals", "Goals"], ["goal", "Goal"], ["age", "Age"], ["sex", "Sex"],
+  ["weightKg", "Weight (kg)"], ["weight", "Weight"], ["heightCm", "Height (cm)"], ["height", "Height"],
+  ["activityLevel", "Activity level"], ["diet", "Diet"], ["allergies", "Allergies"], ["dislikes", "Dislikes"]
+];
+
+export function profilePrompt(profile) {
+  if (!profile || typeof profile !== "object") return "";
+  const lines = [];
+  for (const [field, label] of PROFILE_FIELDS) {
+    const value = profile[field];
+    if (value === undefined || value === null || value === "") continue;
+    if (Array.isArray(value) && value.length === 0) continue;
+    lines.push(`- ${label}: ${Array.isArray(value) ? value.join(", ") : String(value)}`);
+  }
+  if (lines.length === 0) return "";
+  return `User profile (respect allergies and diet in every suggestion):\n${lines.join("\n")}`;
+}
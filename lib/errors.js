@@ -0,0 +1,40 @@
+// lib/errors.js
+// One JSON error envelope for every endpoint: { error: { code, message, requestId, ...details } }.
+
+const CODES = {
+  400: "bad_request",
+  401: "unauthorized",
+  402: "payment_required",
+  403: "forbidden",
+  404: "not_found",
+  405: "method_not_allowed",
+  409: "conflict",
+  413: "payload_too_large",
+  415: "unsupported_media_type",
+  429: "rate_limited",
+  500: "internal_error",
+  501: "not_implemented",
+  502: "upstream_error",
+  503: "unavailable"
+};
+
+export function errorCode(status) {
+  return CODES[status] || (status >= 500 ? "internal_error" : "bad_request");
+}
+
+// Thrown from shared code; the error middleware turns it into the envelope with this status.
+export function httpError(status, message, { code, ...details } = {}) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code || errorCode(status);
+  err.details = details;
+  return err;
+}
+
+export function errorBody(res, status, message, { code, ...details } = {}) {
+  return { error: { code: code || errorCode(status), message, requestId: res.requestId || null, ...details } };
+}
+
+export function sendError(res, status, message, extra = {}) {
+  return res.status(status).json(errorBody(res, status, message, extra));
+}
@@ -0,0 +1,321 @@
+// lib/foodLog.js
+// What a user ate, one stored day per owner (API key + X-User-Id, see lib/pantry.js):
+//   foodlog:{owner}:{YYYY-MM-DD} -> hash of entry id -> entry, kept FOOD_LOG_RETENTION_DAYS; each write touches
+//   one entry, so foods logged at the same time (a chat tool call and the app) are all kept
+//   entry = { id, date, meal, source: "recipe" | "mealPlan" | "barcode" | "text" | "manual", name, servings,
+//             perServing: { calories, ... }, nutrition: { ... } (perServing × servings), loggedAt, ...source details }
+// Entry ids start with the day ("20250601-1a2b3c4d"), so an entry is found without an index.
+// Days are calendar dates as the client sends them (its local day); the default is today in UTC.
+// Summaries compare intake with daily targets (lib/nutritionTargets.js): one day, or the Monday–Sunday week
+// around a date, averaged over the days that have entries.
+
+import crypto from "crypto";
+import { kvHashSet, kvHashGet, kvHashDel, kvHashValues } from "./store.js";
+import { httpError } from "./errors.js";
+import { validateBarcode } from "./barcode.js";
+import { cachedRecipes } from "./recipes.js";
+import { getMealPlan, normalizeMeal, MEAL_TYPES } from "./mealPlan.js";
+import { resolveIngredient } from "./localNutrition.js";
+import { deviations } from "./targetFit.js";
+
+const RETENTION = Number(process.env.FOOD_LOG_RETENTION_DAYS || 400) * 86400;
+const MAX_ENTRIES = Number(process.env.FOOD_LOG_MAX_ENTRIES_PER_DAY || 100);
+const TOLERANCE = Number(process.env.TARGET_TOLERANCE || 0.15);
+const MAX_SERVINGS = 20;
+const MAX_TEXT = 500;
+// nutrients summed in the log; the rest of the recipe nutrition object is not kept
+export const LOGGED_NUTRIENTS = ["calories", "protein", "carbs", "fat", "fiber", "sugar", "sodium"];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const ID_PATTERN = /^(\d{4})(\d{2})(\d{2})-[0-9a-f]{8}$/;
+const DAY_MS = 86400000;
+
+function storeKey(owner, date) {
+  return `foodlog:${owner}:${date}`;
+}
+
+export function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Returns { ok, date } or { ok: false, error }. Missing means today; up to a day ahead is allowed for time zones.
+export function parseDay(value) {
+  if (value === undefined || value === null || value === "") return { ok: true, date: today() };
+  const text = String(value);
+  const time = Date.parse(`${text}T00:00:00Z`);
+  if (!DATE_PATTERN.test(text) || Number.isNaN(time) || new Date(time).toISOString().slice(0, 10) !== text) {
+    return { ok: false, error: "date must be a calendar date (YYYY-MM-DD)" };
+  }
+  if (time > Date.parse(`${today()}T00:00:00Z`) + DAY_MS) return { ok: false, error: "date must not be in the future" };
+  return { ok: true, date: text };
+}
+
+// the day an entry id belongs to, or null for ids we never issued
+export function entryDate(id) {
+  const match = ID_PATTERN.exec(String(id));
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+function newEntryId(date) {
+  return `${date.replace(/-/g, "")}-${crypto.randomBytes(4).toString("hex")}`;
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function roundNutrient(key, value) {
+  return key === "calories" ? Math.round(value) : Math.round(value * 10) / 10;
+}
+
+// { key: value } over LOGGED_NUTRIENTS; unknown values stay null
+function pickNutrients(source, factor = 1) {
+  return Object.fromEntries(LOGGED_NUTRIENTS.map(key => {
+    const value = source?.[key];
+    return [key, value === null || value === undefined || !Number.isFinite(Number(value)) ? null : roundNutrient(key, Number(value) * factor)];
+  }));
+}
+
+// sums per nutrient; null only when no entry knows the value
+function sumNutrients(list) {
+  return Object.fromEntries(LOGGED_NUTRIENTS.map(key => {
+    const known = list.map(n => n?.[key]).filter(v => v !== null && v !== undefined);
+    return [key, known.length ? roundNutrient(key, known.reduce((a, b) => a + b, 0)) : null];
+  }));
+}
+
+// Validates the fields every entry may carry (and that PATCH may change). Returns { ok, fields } or { ok: false, error }.
+export function validateEntryFields(input, { partial = false } = {}) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) return { ok: false, error: "entry must be an object" };
+  const fields = {};
+  if (!partial || input.servings !== undefined) {
+    const servings = input.servings === undefined ? 1 : Number(input.servings);
+    if (!(servings > 0 && servings <= MAX_SERVINGS)) return { ok: false, error: `servings must be a number above 0 and at most ${MAX_SERVINGS}` };
+    fields.servings = servings;
+  }
+  if (input.meal !== undefined) {
+    const meal = input.meal === null ? null : normalizeMeal(input.meal);
+    if (meal !== null && !MEAL_TYPES.includes(meal)) return { ok: false, error: `meal must be one of ${MEAL_TYPES.join(", ")}` };
+    fields.meal = meal;
+  }
+  if (input.name !== undefined) {
+    const name = String(input.name ?? "").trim();
+    if (!name || name.length > 200) return { ok: false, error: "name must be a non-empty string (max 200 characters)" };
+    fields.name = name;
+  }
+  return { ok: true, fields };
+}
+
+function manualNutrition(nutrition) {
+  if (!nutrition || typeof nutrition !== "object" || !(Number(nutrition.calories) >= 0)) {
+    throw httpError(400, "nutrition must be an object with calories (per serving)");
+  }
+  return pickNutrients(nutrition);
+}
+
+// per-serving nutrition of a generated recipe; mock and model-estimated recipes only know calories and macros
+function recipeNutrition(recipe) {
+  const perServing = recipe.nutrition?.perServing || {
+    calories: recipe.estimatedCalories ?? recipe.calories,
+    protein: recipe.macros?.protein,
+    carbs: recipe.macros?.carbs,
+    fat: recipe.macros?.fat
+  };
+  if (!(Number(perServing.calories) >= 0)) throw httpError(400, "recipe has no nutrition to log");
+  return pickNutrients(perServing);
+}
+
+// "2 eggs, 1 slice toast and a banana" -> one line per food
+function splitFoods(text) {
+  return text.split(/[,;\n+]|\band\b|\bwith\b/i).map(s => s.trim()).filter(Boolean);
+}
+
+// Describes what the entry input refers to: { source, name, perServing, ...details }. Exactly one of
+// recipe, recipeKey (+ title), mealPlanId (+ day, meal), barcode, text, or name + nutrition.
+// `lookupProduct(code)` resolves barcodes ({ product }, like lookupBarcode) so mock mode can pass its own.
+export async function resolveEntry(input, { owner, lookupProduct }) {
+  const kinds = ["recipe", "recipeKey", "mealPlanId", "barcode", "text"].filter(kind => input[kind] !== undefined);
+  if (kinds.length > 1) throw httpError(400, `Send only one of ${kinds.join(", ")}`);
+  const kind = kinds[0];
+
+  if (kind === "recipe") {
+    const recipe = input.recipe;
+    if (!recipe || typeof recipe !== "object" || !recipe.title) throw httpError(400, "recipe must be a recipe object with a title");
+    return { source: "recipe", name: String(recipe.title), perServing: recipeNutrition(recipe) };
+  }
+  if (kind === "recipeKey") {
+    if (typeof input.recipeKey !== "string" || !input.recipeKey.startsWith("recipe:")) throw httpError(400, "recipeKey must be a recipe cache key");
+    const cached = await cachedRecipes(input.recipeKey);
+    if (!cached) throw httpError(404, "Recipe cache key not found or expired");
+    const title = input.title ? String(input.title).toLowerCase() : null;
+    if (!title && cached.length > 1) throw httpError(400, "title is required when the cache key holds several recipes");
+    const recipe = title ? cached.find(r => String(r.title).toLowerCase() === title) : cached[0];
+    if (!recipe) throw httpError(404, "No recipe with that title under this cache key");
+    return { source: "recipe", name: recipe.title, recipeKey: input.recipeKey, perServing: recipeNutrition(recipe) };
+  }
+  if (kind === "mealPlanId") {
+    const plan = await getMealPlan(String(input.mealPlanId), owner);
+    if (!plan) throw httpError(404, "Meal plan not found");
+    const day = plan.schedule.find(d => d.day === Number(input.day));
+    const slot = day?.slots.find(s => s.meal === normalizeMeal(input.meal ?? input.slot ?? ""));
+    if (!slot) throw httpError(404, "Meal plan has no such day and meal");
+    return { source: "mealPlan", name: slot.title, mealPlanId: plan.id, mealPlanDay: day.day, meal: slot.meal, perServing: pickNutrients(slot.nutrition) };
+  }
+  if (kind === "barcode") {
+    const valid = validateBarcode(input.barcode);
+    if (!valid.ok) throw httpError(400, valid.error);
+    const { product } = await lookupProduct(valid.code);
+    if (!product) throw httpError(404, "Product not found");
+    const name = [product.brand, product.productName].filter(Boolean).join(" ");
+    return {
+      source: "barcode",
+      name,
+      barcode: valid.code,
+      servingSize: product.servingSize || null,
+      perServing: pickNutrients({ calories: product.calories, ...product.macros })
+    };
+  }
+  if (kind === "text") {
+    const text = String(input.text ?? "").trim();
+    if (!text || text.length > MAX_TEXT) throw httpError(400, `text must be a non-empty string (max ${MAX_TEXT} characters)`);
+    if (input.nutrition !== undefined) return { source: "text", name: text, text, perServing: manualNutrition(input.nutrition), estimated: false };
+    const resolved = splitFoods(text).map(resolveIngredient);
+    const matched = resolved.filter(r => r.matchConfidence > 0);
+    if (!matched.length) throw httpError(400, "Couldn't recognize any food in text; send nutrition with it", { code: "unrecognized_food" });
+    return {
+      source: "text",
+      name: text,
+      text,
+      perServing: pickNutrients(sumNutrients(matched.map(r => pickNutrients(r.nutrients)))),
+      estimated: true,
+      foods: matched.map(r => ({ name: r.name, food: r.food, grams: r.grams, matchConfidence: r.matchConfidence })),
+      unmatched: resolved.filter(r => r.matchConfidence === 0).map(r => r.name)
+    };
+  }
+  if (input.name === undefined) throw httpError(400, "Provide recipe, recipeKey, mealPlanId, barcode, text, or name with nutrition");
+  return { source: "manual", name: String(input.name).trim(), perServing: manualNutrition(input.nutrition) };
+}
+
+// { date, entries } with entries in the order they were logged
+export async function getDay(owner, date) {
+  const entries = await kvHashValues(storeKey(owner, date));
+  entries.sort((a, b) => String(a.loggedAt).localeCompare(String(b.loggedAt)));
+  return { date, entries };
+}
+
+// Stores one entry built from resolveEntry() output plus validated fields ({ servings, meal, name }).
+// The entry is written first and taken back out when the day then holds more than MAX_ENTRIES, so
+// concurrent adds can't overshoot the limit.
+export async function addEntry(owner, date, resolved, fields) {
+  const { perServing, ...details } = resolved;
+  const servings = fields.servings ?? 1;
+  const entry = {
+    id: newEntryId(date),
+    date,
+    meal: fields.meal ?? resolved.meal ?? null,
+    ...details,
+    name: fields.name ?? resolved.name,
+    servings,
+    perServing,
+    nutrition: pickNutrients(perServing, servings),
+    loggedAt: new Date().toISOString()
+  };
+  const count = await kvHashSet(storeKey(owner, date), entry.id, entry, RETENTION);
+  if (count > MAX_ENTRIES) {
+    await kvHashDel(storeKey(owner, date), entry.id);
+    throw httpError(409, `At most ${MAX_ENTRIES} entries per day`);
+  }
+  return entry;
+}
+
+export async function getEntry(owner, id) {
+  const date = entryDate(id);
+  if (!date) return null;
+  return kvHashGet(storeKey(owner, date), id);
+}
+
+// Applies validated fields; a servings change rescales the entry's nutrition. Returns the entry or null.
+export async function updateEntry(owner, id, fields) {
+  const entry = await getEntry(owner, id);
+  if (!entry) return null;
+  Object.assign(entry, fields);
+  entry.nutrition = pickNutrients(entry.perServing, entry.servings);
+  await kvHashSet(storeKey(owner, entry.date), id, entry, RETENTION);
+  return entry;
+}
+
+export async function removeEntry(owner, id) {
+  const date = entryDate(id);
+  if (!date) return false;
+  return (await kvHashDel(storeKey(owner, date), id)) === true;
+}
+
+// Per targeted nutrient: { target, intake, remaining, progress, status: "under" | "on_track" | "over" }
+export function compareToTargets(intake, targets) {
+  if (!targets) return null;
+  const out = {};
+  for (const [key, target] of Object.entries(targets)) {
+    if (!(target > 0)) continue;
+    const eaten = intake[key] ?? 0;
+    const progress = Math.round(eaten / target * 100) / 100;
+    out[key] = {
+      target,
+      intake: eaten,
+      remaining: roundNutrient(key, target - eaten),
+      progress,
+      status: progress > 1 + TOLERANCE ? "over" : progress >= 1 - TOLERANCE ? "on_track" : "under"
+    };
+  }
+  return out;
+}
+
+function byMeal(entries) {
+  const meals = {};
+  for (const entry of entries) {
+    const meal = entry.meal || "unassigned";
+    (meals[meal] || (meals[meal] = [])).push(entry.nutrition);
+  }
+  return Object.fromEntries(Object.entries(meals).map(([meal, list]) => [meal, sumNutrients(list)]));
+}
+
+// { period: "day", date, entries, totals, byMeal, targets, vsTargets }
+export async function daySummary(owner, date, targets = null) {
+  const day = await getDay(owner, date);
+  const totals = sumNutrients(day.entries.map(e => e.nutrition));
+  return {
+    period: "day",
+    date,
+    entries: day.entries,
+    totals,
+    byMeal: byMeal(day.entries),
+    targets,
+    vsTargets: compareToTargets(totals, targets)
+  };
+}
+
+// The Monday–Sunday week around `date`: per-day totals (with deviation from the daily targets, like meal plans),
+// week totals, and the average over days with entries compared with the daily targets.
+export async function weekSummary(owner, date, targets = null) {
+  const weekday = (new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7;
+  const start = addDays(date, -weekday);
+  const dates = Array.from({ length: 7 }, (_, i) => addDays(start, i));
+  const days = await Promise.all(dates.map(async d => {
+    const { entries } = await getDay(owner, d);
+    const totals = sumNutrients(entries.map(e => e.nutrition));
+    return { date: d, entries: entries.length, totals, deviation: targets && entries.length ? deviations(totals, targets) : null };
+  }));
+  const logged = days.filter(d => d.entries > 0);
+  const totals = sumNutrients(logged.map(d => d.totals));
+  const dailyAverage = Object.fromEntries(Object.entries(totals).map(([key, value]) =>
+    [key, value === null ? null : roundNutrient(key, value / logged.length)]));
+  return {
+    period: "week",
+    start,
+    end: dates[6],
+    days,
+    daysLogged: logged.length,
+    totals,
+    dailyAverage,
+    targets,
+    vsTargets: logged.length ? compareToTargets(dailyAverage, targets) : null
+  };
+}
@@ -0,0 +1,99 @@
+// lib/ingredientParser.js
+// Splits free-text ingredient lines into quantity, unit and food name:
+//   parseIngredient("1 cup (200g) cooked brown rice")
+//   -> { original, quantity: 1, unit: "cup", grams: 200, name: "cooked brown rice" }
+// `grams` is only set when the text states a weight (a mass unit or a parenthesized "(200g)");
+// converting cups, pieces etc. to grams depends on the food and happens in lib/localNutrition.js.
+
+const UNICODE_FRACTIONS = { "½": 0.5, "⅓": 1 / 3, "⅔": 2 / 3, "¼": 0.25, "¾": 0.75, "⅛": 0.125, "⅕": 0.2 };
+
+// alias -> canonical unit
+const UNITS = {
+  g: "g", gram: "g", grams: "g", gr: "g",
+  kg: "kg", kilogram: "kg", kilograms: "kg",
+  mg: "mg",
+  oz: "oz", ounce: "oz", ounces: "oz",
+  lb: "lb", lbs: "lb", pound: "lb", pounds: "lb",
+  ml: "ml", milliliter: "ml", milliliters: "ml", millilitre: "ml", millilitres: "ml",
+  l: "l", liter: "l", liters: "l", litre: "l", litres: "l",
+  cup: "cup", cups: "cup", c: "cup",
+  tbsp: "tbsp", tbs: "tbsp", tablespoon: "tbsp", tablespoons: "tbsp", T: "tbsp",
+  tsp: "tsp", teaspoon: "tsp", teaspoons: "tsp", t: "tsp",
+  can: "can", cans: "can", tin: "can", tins: "can",
+  clove: "clove", cloves: "clove",
+  slice: "slice", slices: "slice",
+  piece: "piece", pieces: "piece", whole: "piece",
+  fillet: "piece", fillets: "piece", breast: "piece", breasts: "piece",
+  block: "block", blocks: "block", package: "block", pack: "block",
+  container: "container", containers: "container",
+  pinch: "pinch", pinches: "pinch", dash: "pinch",
+  handful: "handful", handfuls: "handful",
+  bunch: "bunch", bunches: "bunch"
+};
+
+export const MASS_UNITS = { g: 1, kg: 1000, mg: 0.001, oz: 28.35, lb: 453.6 };
+
+// size words count as pieces ("2 large eggs")
+const SIZE_WORDS = new Set(["small", "medium", "large", "extra-large", "jumbo"]);
+
+const NUMBER = "(?:\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d+(?:\\.\\d+)?|[½⅓⅔¼¾⅛⅕]|\\d+\\s*[½⅓⅔¼¾⅛⅕])";
+
+function parseNumber(text) {
+  const t = text.trim();
+  let m = t.match(/^(\d+)\s*([½⅓⅔¼¾⅛⅕])$/);
+  if (m) return Number(m[1]) + UNICODE_FRACTIONS[m[2]];
+  if (UNICODE_FRACTIONS[t] !== undefined) return UNICODE_FRACTIONS[t];
+  m = t.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+  if (m) return Number(m[1]) + Number(m[2]) / Number(m[3]);
+  m = t.match(/^(\d+)\/(\d+)$/);
+  if (m) return Number(m[1]) / Number(m[2]);
+  return Number(t);
+}
+
+// "200g", "240 g drained", "8 oz" inside parentheses
+function statedWeight(text) {
+  for (const [, inner] of text.matchAll(/\(([^)]*)\)/g)) {
+    const m = inner.match(new RegExp(`(${NUMBER})\\s*(kg|mg|g|grams?|oz|ounces?|lbs?|pounds?)\\b`, "i"));
+    if (m) return parseNumber(m[1]) * MASS_UNITS[UNITS[m[2].toLowerCase()]];
+  }
+  return null;
+}
+
+export function parseIngredient(line) {
+  const original = String(line || "").trim();
+  const grams = statedWeight(original);
+  let rest = original.replace(/\([^)]*\)/g, " ").replace(/\s+/g, " ").trim();
+
+  let quantity = null;
+  // leading amount, including ranges ("1-2", "1 to 2" -> 1.5) and "a"/"an"
+  let m = rest.match(new RegExp(`^(${NUMBER})\\s*(?:-|–|to)\\s*(${NUMBER})\\b\\s*`));
+  if (m) {
+    quantity = (parseNumber(m[1]) + parseNumber(m[2])) / 2;
+  } else if ((m = rest.match(new RegExp(`^(${NUMBER})\\s*`)))) {
+    quantity = parseNumber(m[1]);
+  } else if ((m = rest.match(/^(an?)\s+/i))) {
+    quantity = 1;
+  }
+  if (m) rest = rest.slice(m[0].length);
+
+  let unit = null;
+  m = rest.match(/^([A-Za-z]+)\.?(?:\s+of)?(?:\s+|$)/);
+  if (m) {
+    const word = m[1];
+    const canonical = UNITS[word] || UNITS[word.toLowerCase()];
+    // single-letter units only count in their exact case ("1 T" vs "1 t"), and only after a number
+    if (canonical && (word.length > 1 || quantity !== null)) {
+      unit = canonical;
+      rest = rest.slice(m[0].length);
+    } else if (SIZE_WORDS.has(word.toLowerCase()) && quantity !== null) {
+      unit = "piece";
+      rest = rest.slice(m[0].length);
+    }
+  }
+  if (!unit && quantity !== null) unit = "piece";
+  if (!unit && /\bto taste\b/i.test(rest)) unit = "pinch";
+
+  const stated = grams ?? (unit && MASS_UNITS[unit] && quantity !== null ? quantity * MASS_UNITS[unit] : null);
+  const name = rest.replace(/^of\s+/i, "").replace(/,.*$/, "").trim().toLowerCase();
+  return { original, quantity, unit, grams: stated, name };
+}
@@ -0,0 +1,210 @@
+// lib/jobs.js
+// Asynchronous jobs for requests that can outlast a serverless timeout (async generate-meals). A job is stored
+// through lib/store.js for JOB_TTL_SECONDS and polled with GET /api/jobs/:id:
+//   { id, type, owner, status: "queued" | "running" | "succeeded" | "failed", createdAt, updatedAt, startedAt,
+//     finishedAt, result, error: { code, message, status }, webhook: { url, status, attempts, lastStatus, deliveredAt, error } }
+// The work runs in the invocation that accepted the job, after the 202 went out (kept alive with Vercel's waitUntil
+// where available). If that instance dies the job can't finish, so jobs without progress for JOB_TIMEOUT_SECONDS
+// are reported as failed.
+//
+// Idempotency-Key: the first request with a key creates the job; repeats with the same body get that job back and
+// repeats with a different body get 409. Keys are remembered per owner for the life of the job.
+//
+// Webhooks: when the job finishes, its public view is POSTed to the client's https URL with
+//   X-Webhook-Id (job id), X-Webhook-Timestamp (unix seconds) and X-Webhook-Signature: sha256=<hex HMAC-SHA256 over
+//   `${timestamp}.${body}`>, keyed with the calling key's webhook secret (returned when the key was issued, see
+//   lib/apiKeys.js), or WEBHOOK_SECRET for keys without one and PROXY_SECRET / open-proxy callers.
+//   Non-2xx answers are retried up to WEBHOOK_MAX_ATTEMPTS times.
+
+import crypto from "crypto";
+import net from "net";
+import { kvGet, kvSet, kvSetNX, kvDel } from "./store.js";
+import { httpError, errorCode } from "./errors.js";
+import { captureException } from "./sentry.js";
+import { log } from "./log.js";
+import { stableStringify } from "./utils.js";
+
+const JOB_TTL = Number(process.env.JOB_TTL_SECONDS || 86400);
+const JOB_TIMEOUT_SECONDS = Number(process.env.JOB_TIMEOUT_SECONDS || 300);
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 3);
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+const WEBHOOK_RETRY_BASE_MS = 1000;
+// suggested polling interval for clients (Retry-After on pending jobs)
+export const POLL_AFTER_SECONDS = 2;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function jobKey(id) {
+  return `job:${id}`;
+}
+
+function idempotencyStoreKey(owner, idempotencyKey) {
+  return `jobidem:${owner}:${crypto.createHash("sha256").update(String(idempotencyKey)).digest("hex")}`;
+}
+
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (host === "localhost" || host.endsWith(".localhost") || host.endsWith(".internal")) return true;
+  if (net.isIPv4(host)) {
+    const [a, b] = host.split(".").map(Number);
+    return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168);
+  }
+  if (net.isIPv6(host)) return host === "::1" || host === "::" || /^f[cd]/.test(host) || host.startsWith("fe80");
+  return false;
+}
+
+// Returns { ok, url } or { ok: false, error }. WEBHOOK_ALLOW_INSECURE=true also allows http and private hosts
+// (local development only).
+export function validateWebhookUrl(value) {
+  if (typeof value !== "string" || value.length > 2000) return { ok: false, error: "webhookUrl must be a URL string" };
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return { ok: false, error: "webhookUrl must be a URL string" };
+  }
+  if (process.env.WEBHOOK_ALLOW_INSECURE === "true") {
+    return ["http:", "https:"].includes(url.protocol) ? { ok: true, url: url.toString() } : { ok: false, error: "webhookUrl must be an http(s) URL" };
+  }
+  if (url.protocol !== "https:") return { ok: false, error: "webhookUrl must use https" };
+  if (isPrivateHost(url.hostname)) return { ok: false, error: "webhookUrl must not point to a private address" };
+  return { ok: true, url: url.toString() };
+}
+
+// Fingerprint of a request body for Idempotency-Key comparisons.
+export function requestFingerprint(body) {
+  return crypto.createHash("sha256").update(stableStringify(body ?? null)).digest("hex");
+}
+
+export function signWebhook(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+async function saveJob(job) {
+  job.updatedAt = new Date().toISOString();
+  await kvSet(jobKey(job.id), job, JOB_TTL);
+  return job;
+}
+
+// Creates a queued job, or returns the one an earlier request with the same Idempotency-Key created.
+// Returns { job, replayed }; throws 409 when the key was used for a different request.
+export async function createJob({ type, owner, webhookUrl = null, idempotencyKey = null, fingerprint = null }) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    owner,
+    status: "queued",
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    error: null,
+    webhook: webhookUrl ? { url: webhookUrl, status: "pending", attempts: 0, lastStatus: null, deliveredAt: null, error: null } : null
+  };
+  // the job is stored before the key is claimed, so a concurrent retry that loses the claim always finds it
+  await saveJob(job);
+  if (!idempotencyKey) return { job, replayed: false };
+
+  const storeKey = idempotencyStoreKey(owner, idempotencyKey);
+  const claimed = await kvSetNX(storeKey, { jobId: job.id, fingerprint }, JOB_TTL);
+  if (claimed !== false) return { job, replayed: false };
+  await kvDel(jobKey(job.id));
+  const prior = await kvGet(storeKey);
+  if (prior && prior.fingerprint !== fingerprint) {
+    throw httpError(409, "Idempotency-Key was already used for a different request", { code: "idempotency_conflict" });
+  }
+  const existing = prior && (await kvGet(jobKey(prior.jobId)));
+  if (!existing) throw httpError(409, "Idempotency-Key is in use by a request that is still starting; retry shortly", { code: "idempotency_conflict" });
+  return { job: existing, replayed: true };
+}
+
+// Jobs are only visible to the owner that created them. Jobs stuck past JOB_TIMEOUT_SECONDS read as failed.
+export async function getJob(id, owner) {
+  const job = await kvGet(jobKey(id));
+  if (!job || job.owner !== owner) return null;
+  const idle = (Date.now() - new Date(job.updatedAt).getTime()) / 1000;
+  if ((job.status === "queued" || job.status === "running") && idle > JOB_TIMEOUT_SECONDS) {
+    return { ...job, status: "failed", error: { code: "job_timeout", message: `Job made no progress for ${JOB_TIMEOUT_SECONDS}s`, status: 504 } };
+  }
+  return job;
+}
+
+// The job as returned to clients and webhooks, without internal fields.
+export function publicJob(job) {
+  const { owner, ...rest } = job;
+  return rest;
+}
+
+async function deliverWebhook(job, secret) {
+  const body = JSON.stringify(publicJob({ ...job, webhook: undefined }));
+  for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+    job.webhook.attempts = attempt;
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    try {
+      const resp = await fetch(job.webhook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Webhook-Id": job.id,
+          "X-Webhook-Timestamp": timestamp,
+          "X-Webhook-Signature": `sha256=${signWebhook(secret, timestamp, body)}`
+        },
+        body,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+      job.webhook.lastStatus = resp.status;
+      if (resp.ok) {
+        Object.assign(job.webhook, { status: "delivered", deliveredAt: new Date().toISOString(), error: null });
+        log.info("webhook delivered", { jobId: job.id, attempt, status: resp.status });
+        return;
+      }
+      job.webhook.error = `Webhook answered ${resp.status}`;
+    } catch (err) {
+      job.webhook.error = `Webhook request failed: ${String(err.message || err)}`;
+    }
+    log.warn("webhook delivery failed", { jobId: job.id, attempt, error: job.webhook.error });
+    if (attempt < WEBHOOK_MAX_ATTEMPTS) await sleep(WEBHOOK_RETRY_BASE_MS * 2 ** (attempt - 1));
+  }
+  job.webhook.status = "failed";
+}
+
+// Runs work() for a queued job, stores its result or error, then calls the webhook (if any).
+// Errors carrying `status` (see httpError) are stored as they are; anything else is a reported 500.
+export async function runJob(job, work, { webhookSecret = null } = {}) {
+  job.status = "running";
+  job.startedAt = new Date().toISOString();
+  await saveJob(job);
+  try {
+    job.result = await work();
+    job.status = "succeeded";
+  } catch (err) {
+    const status = err.status || 500;
+    if (status >= 500) {
+      log.error("job failed", { jobId: job.id, type: job.type, error: err });
+      captureException(err);
+    }
+    job.status = "failed";
+    job.error = { code: err.code || errorCode(status), message: err.status ? err.message : "Internal server error", status };
+  }
+  job.finishedAt = new Date().toISOString();
+  await saveJob(job);
+  if (job.webhook) {
+    await deliverWebhook(job, webhookSecret);
+    await saveJob(job);
+  }
+  return job;
+}
+
+// Keeps the invocation alive for a promise that outlives the response: Vercel exposes waitUntil through this
+// request context (the hook @vercel/functions uses); elsewhere the promise simply runs on.
+export function runInBackground(promise) {
+  const context = globalThis[Symbol.for("@vercel/request-context")]?.get?.();
+  const guarded = promise.catch(err => {
+    log.error("background job failed", { error: err });
+    captureException(err);
+  });
+  if (typeof context?.waitUntil === "function") context.waitUntil(guarded);
+  return guarded;
+}
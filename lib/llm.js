@@ -0,0 +1,371 @@
+// lib/llm.js
+// Provider-agnostic LLM client. Handlers describe *what* they need (endpoint name, messages, tools);
+// provider, model, timeouts, retries and fallback come from the environment:
+//   LLM_PROVIDER (openai | anthropic | local), LLM_PROVIDER_<ENDPOINT>, LLM_MODEL, LLM_MODEL_<ENDPOINT>,
+//   LLM_FALLBACK_PROVIDER, LLM_FALLBACK_MODEL, LLM_TIMEOUT_MS, LLM_STREAM_IDLE_MS, LLM_MAX_RETRIES, LLM_RETRY_BASE_MS
+//   OPENAI_API_KEY, ANTHROPIC_API_KEY, LOCAL_LLM_BASE_URL (e.g. http://localhost:11434/v1), LOCAL_LLM_API_KEY, LOCAL_LLM_MODEL
+// Messages and tools use the OpenAI chat format; adapters translate for other providers.
+// Every call resolves to { content, toolCalls: [{ id, name, arguments }], usage: { inputTokens, outputTokens, totalTokens },
+// provider, model, finishReason }. Token usage of each successful call is metered through lib/usage.js.
+
+import { readEventStream } from "./sse.js";
+import { recordLlmUsage } from "./usage.js";
+import { upstreamFetch, replaying } from "./upstream.js";
+import { log } from "./log.js";
+
+const TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS || 30000);
+// a streamed reply may run past TIMEOUT_MS as long as chunks keep coming at most this far apart
+const STREAM_IDLE_MS = Number(process.env.LLM_STREAM_IDLE_MS || 15000);
+const MAX_RETRIES = Number(process.env.LLM_MAX_RETRIES || 2);
+const RETRY_BASE_MS = Number(process.env.LLM_RETRY_BASE_MS || 500);
+const ANTHROPIC_VERSION = "2023-06-01";
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function llmError(message, { status = null, retryable = false, provider = null } = {}) {
+  const err = new Error(message);
+  err.status = status;
+  err.retryable = retryable;
+  err.provider = provider;
+  return err;
+}
+
+function emptyUsage() {
+  return { inputTokens: 0, outputTokens: 0, totalTokens: 0 };
+}
+
+// ---- OpenAI and OpenAI-compatible servers (Ollama, llama.cpp, vLLM, ...) ----
+
+const openaiAdapter = {
+  buildRequest(provider, model, params, stream) {
+    const body = {
+      model,
+      messages: params.messages,
+      temperature: params.temperature,
+      max_tokens: params.maxTokens
+    };
+    if (params.tools) body.tools = params.tools;
+    // strict structured output is an OpenAI feature; compatible servers only get plain JSON mode
+    if (params.json?.schema && provider.name === "openai") {
+      body.response_format = { type: "json_schema", json_schema: { name: params.json.name || "response", schema: params.json.schema, strict: true } };
+    } else if (params.json) {
+      body.response_format = { type: "json_object" };
+    }
+    if (stream) {
+      body.stream = true;
+      if (provider.name === "openai") body.stream_options = { include_usage: true };
+    }
+    const headers = { "Content-Type": "application/json" };
+    if (provider.apiKey) headers.Authorization = `Bearer ${provider.apiKey}`;
+    return { url: `${provider.baseUrl}/chat/completions`, headers, body };
+  },
+  parseResponse(data) {
+    const choice = data?.choices?.[0] || {};
+    const msg = choice.message || {};
+    return {
+      content: msg.content || choice.text || "",
+      toolCalls: (msg.tool_calls || []).map(tc => ({ id: tc.id, name: tc.function?.name, arguments: tc.function?.arguments })),
+      usage: {
+        inputTokens: data?.usage?.prompt_tokens || 0,
+        outputTokens: data?.usage?.completion_tokens || 0,
+        totalTokens: data?.usage?.total_tokens || 0
+      },
+      finishReason: choice.finish_reason || null
+    };
+  },
+  // relays content deltas as they arrive; tool call deltas are stitched together by index
+  async parseStream(body, onToken) {
+    let content = "";
+    let finishReason = null;
+    let usage = emptyUsage();
+    const toolCalls = [];
+    for await (const data of readEventStream(body)) {
+      if (data === "[DONE]") break;
+      let chunk;
+      try { chunk = JSON.parse(data); } catch { continue; }
+      if (chunk.usage) {
+        usage = { inputTokens: chunk.usage.prompt_tokens || 0, outputTokens: chunk.usage.completion_tokens || 0, totalTokens: chunk.usage.total_tokens || 0 };
+      }
+      const choice = chunk?.choices?.[0];
+      if (!choice) continue;
+      if (choice.finish_reason) finishReason = choice.finish_reason;
+      const delta = choice.delta || {};
+      if (delta.content) {
+        content += delta.content;
+        onToken(delta.content);
+      }
+      for (const tc of delta.tool_calls || []) {
+        const call = toolCalls[tc.index] || (toolCalls[tc.index] = { id: "", name: "", arguments: "" });
+        if (tc.id) call.id = tc.id;
+        if (tc.function?.name) call.name += tc.function.name;
+        if (tc.function?.arguments) call.arguments += tc.function.arguments;
+      }
+    }
+    return { content, toolCalls: toolCalls.filter(Boolean), usage, finishReason };
+  }
+};
+
+// ---- Anthropic Messages API ----
+
+function anthropicContent(content) {
+  if (!Array.isArray(content)) return [{ type: "text", text: String(content ?? "") }];
+  return content.map(part => {
+    if (part.type === "image_url") {
+      const m = String(part.image_url?.url || "").match(/^data:([^;]+);base64,(.*)$/);
+      if (m) return { type: "image", source: { type: "base64", media_type: m[1], data: m[2] } };
+      return { type: "image", source: { type: "url", url: part.image_url?.url } };
+    }
+    return { type: "text", text: part.text || "" };
+  });
+}
+
+// Anthropic wants a separate system prompt, strictly alternating roles and tool results as user content.
+function toAnthropicMessages(messages) {
+  const system = [];
+  const out = [];
+  const push = (role, blocks) => {
+    const last = out[out.length - 1];
+    if (last && last.role === role) last.content.push(...blocks);
+    else out.push({ role, content: [...blocks] });
+  };
+  for (const m of messages) {
+    if (m.role === "system") {
+      system.push(typeof m.content === "string" ? m.content : anthropicContent(m.content).map(b => b.text || "").join("\n"));
+    } else if (m.role === "tool") {
+      push("user", [{ type: "tool_result", tool_use_id: m.tool_call_id, content: String(m.content ?? "") }]);
+    } else if (m.role === "assistant") {
+      const blocks = m.content ? anthropicContent(m.content) : [];
+      for (const tc of m.tool_calls || []) {
+        let input = {};
+        try { input = JSON.parse(tc.function?.arguments || "{}"); } catch {}
+        blocks.push({ type: "tool_use", id: tc.id, name: tc.function?.name, input });
+      }
+      push("assistant", blocks);
+    } else {
+      push("user", anthropicContent(m.content));
+    }
+  }
+  return { system: system.join("\n\n"), messages: out };
+}
+
+const anthropicAdapter = {
+  buildRequest(provider, model, params, stream) {
+    const { system, messages } = toAnthropicMessages(params.messages);
+    const body = { model, messages, max_tokens: params.maxTokens || 1024, temperature: params.temperature };
+    if (system) body.system = system;
+    if (params.tools) {
+      body.tools = params.tools.map(t => ({ name: t.function.name, description: t.function.description, input_schema: t.function.parameters }));
+    }
+    if (stream) body.stream = true;
+    return {
+      url: `${provider.baseUrl}/messages`,
+      headers: { "Content-Type": "application/json", "x-api-key": provider.apiKey, "anthropic-version": ANTHROPIC_VERSION },
+      body
+    };
+  },
+  parseResponse(data) {
+    const blocks = data?.content || [];
+    const inputTokens = data?.usage?.input_tokens || 0;
+    const outputTokens = data?.usage?.output_tokens || 0;
+    return {
+      content: blocks.filter(b => b.type === "text").map(b => b.text).join(""),
+      toolCalls: blocks.filter(b => b.type === "tool_use").map(b => ({ id: b.id, name: b.name, arguments: JSON.stringify(b.input || {}) })),
+      usage: { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens },
+      finishReason: data?.stop_reason || null
+    };
+  },
+  async parseStream(body, onToken) {
+    let content = "";
+    let finishReason = null;
+    let inputTokens = 0;
+    let outputTokens = 0;
+    const blocks = [];
+    for await (const data of readEventStream(body)) {
+      let event;
+      try { event = JSON.parse(data); } catch { continue; }
+      if (event.type === "message_start") {
+        inputTokens = event.message?.usage?.input_tokens || 0;
+      } else if (event.type === "content_block_start") {
+        const block = event.content_block || {};
+        blocks[event.index] = block.type === "tool_use" ? { id: block.id, name: block.name, arguments: "" } : null;
+      } else if (event.type === "content_block_delta") {
+        if (event.delta?.type === "text_delta") {
+          content += event.delta.text;
+          onToken(event.delta.text);
+        } else if (event.delta?.type === "input_json_delta" && blocks[event.index]) {
+          blocks[event.index].arguments += event.delta.partial_json || "";
+        }
+      } else if (event.type === "message_delta") {
+        outputTokens = event.usage?.output_tokens || outputTokens;
+        finishReason = event.delta?.stop_reason || finishReason;
+      } else if (event.type === "error") {
+        throw llmError(`Anthropic stream error: ${event.error?.message || "unknown"}`, { provider: "anthropic" });
+      }
+    }
+    const toolCalls = blocks.filter(Boolean).map(b => ({ ...b, arguments: b.arguments || "{}" }));
+    return { content, toolCalls, usage: { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens }, finishReason };
+  }
+};
+
+const PROVIDERS = {
+  openai: {
+    name: "openai",
+    keyName: "OPENAI_API_KEY",
+    apiKey: process.env.OPENAI_API_KEY || "",
+    baseUrl: (process.env.OPENAI_BASE_URL || "https://api.openai.com/v1").replace(/\/$/, ""),
+    defaultModel: "gpt-4o-mini",
+    adapter: openaiAdapter
+  },
+  anthropic: {
+    name: "anthropic",
+    keyName: "ANTHROPIC_API_KEY",
+    apiKey: process.env.ANTHROPIC_API_KEY || "",
+    baseUrl: "https://api.anthropic.com/v1",
+    defaultModel: "claude-3-5-haiku-latest",
+    adapter: anthropicAdapter
+  },
+  local: {
+    name: "local",
+    keyName: "LOCAL_LLM_BASE_URL",
+    apiKey: process.env.LOCAL_LLM_API_KEY || "",
+    baseUrl: (process.env.LOCAL_LLM_BASE_URL || "").replace(/\/$/, ""),
+    defaultModel: process.env.LOCAL_LLM_MODEL || "llama3.1",
+    adapter: openaiAdapter
+  }
+};
+
+function isConfigured(provider) {
+  if (replaying(provider.name) && provider.baseUrl) return true;
+  return provider.name === "local" ? !!provider.baseUrl : !!provider.apiKey;
+}
+
+function envFor(name, endpoint) {
+  const specific = endpoint ? process.env[`${name}_${endpoint.toUpperCase().replace(/[^A-Z0-9]/g, "_")}`] : null;
+  return specific || process.env[name] || "";
+}
+
+// Resolves the primary and (optional) fallback { provider, model } for an endpoint such as "chat" or "meals".
+export function resolveTargets(endpoint) {
+  const primaryName = (envFor("LLM_PROVIDER", endpoint) || "openai").toLowerCase();
+  const primary = PROVIDERS[primaryName];
+  if (!primary) throw llmError(`Unknown LLM provider "${primaryName}"`, { status: 500 });
+  const targets = [{ provider: primary, model: envFor("LLM_MODEL", endpoint) || primary.defaultModel }];
+  const fallbackName = (process.env.LLM_FALLBACK_PROVIDER || "").toLowerCase();
+  const fallback = PROVIDERS[fallbackName];
+  if (fallback && isConfigured(fallback)) {
+    const fallbackModel = process.env.LLM_FALLBACK_MODEL || fallback.defaultModel;
+    if (fallback !== primary || fallbackModel !== targets[0].model) targets.push({ provider: fallback, model: fallbackModel });
+  }
+  return targets;
+}
+
+// Returns a human-readable reason the endpoint can't call a model, or null when it can.
+export function llmConfigError(endpoint) {
+  try {
+    const [primary] = resolveTargets(endpoint);
+    return isConfigured(primary.provider) ? null : `${primary.provider.keyName} not set`;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+function retryDelay(attempt, retryAfterHeader) {
+  const retryAfter = Number(retryAfterHeader);
+  if (Number.isFinite(retryAfter) && retryAfter > 0) return Math.min(retryAfter * 1000, 10000);
+  return RETRY_BASE_MS * 2 ** attempt + Math.floor(Math.random() * RETRY_BASE_MS);
+}
+
+// An abort signal that fires `ms` after the last reset().
+function deadline(ms) {
+  const controller = new AbortController();
+  let timer = null;
+  const d = {
+    signal: controller.signal,
+    ms,
+    reset(next = d.ms) {
+      clearTimeout(timer);
+      d.ms = next;
+      timer = setTimeout(() => controller.abort(new DOMException(`no response for ${next}ms`, "TimeoutError")), next);
+    },
+    clear: () => clearTimeout(timer)
+  };
+  d.reset();
+  return d;
+}
+
+// passes the body through, pushing the deadline back on every chunk
+async function* resetOnChunk(body, timeout) {
+  for await (const chunk of body) {
+    timeout.reset();
+    yield chunk;
+  }
+}
+
+async function callTarget({ provider, model }, params, signal, onToken) {
+  const stream = typeof onToken === "function";
+  const { url, headers, body } = provider.adapter.buildRequest(provider, model, params, stream);
+  // once tokens reached the client a retry would duplicate them
+  let sent = false;
+  const relay = stream ? text => { sent = true; onToken(text); } : null;
+  for (let attempt = 0; ; attempt++) {
+    // TIMEOUT_MS until the response (all of it unless streamed), then STREAM_IDLE_MS between chunks
+    const timeout = deadline(TIMEOUT_MS);
+    const attemptSignal = signal ? AbortSignal.any([signal, timeout.signal]) : timeout.signal;
+    try {
+      const resp = await upstreamFetch(provider.name, url, { method: "POST", headers, body: JSON.stringify(body), signal: attemptSignal });
+      if (!resp.ok) {
+        const text = await resp.text().catch(() => "");
+        const retryable = resp.status === 429 || resp.status >= 500;
+        if (retryable && attempt < MAX_RETRIES) {
+          await sleep(retryDelay(attempt, resp.headers?.get?.("retry-after")));
+          continue;
+        }
+        throw llmError(`${provider.name} returned ${resp.status}: ${text.slice(0, 200)}`, { status: resp.status, retryable, provider: provider.name });
+      }
+      if (stream) timeout.reset(STREAM_IDLE_MS);
+      const result = stream ? await provider.adapter.parseStream(resetOnChunk(resp.body, timeout), relay) : provider.adapter.parseResponse(await resp.json());
+      return { ...result, provider: provider.name, model };
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      if (err.status !== undefined && err.provider) throw err;
+      // network failure or our own timeout: retry like a 5xx
+      const timedOut = timeout.signal.aborted;
+      if (attempt < MAX_RETRIES && !sent) {
+        await sleep(retryDelay(attempt));
+        continue;
+      }
+      throw llmError(timedOut ? `${provider.name} timed out: no response for ${timeout.ms}ms` : `${provider.name} request failed: ${String(err)}`, { retryable: true, provider: provider.name });
+    } finally {
+      timeout.clear();
+    }
+  }
+}
+
+// complete({ endpoint, messages, tools?, temperature?, maxTokens?, json?, signal?, onToken? })
+// Passing onToken streams the reply; the fallback provider is only tried if nothing was streamed yet.
+// json: true asks for a JSON object; json: { name, schema } additionally enforces a JSON Schema where supported.
+export async function complete({ endpoint, messages, tools = null, temperature = 0.2, maxTokens = 800, json = false, signal = null, onToken = null }) {
+  const targets = resolveTargets(endpoint);
+  const params = { messages, tools, temperature, maxTokens, json };
+  let streamed = false;
+  const relay = onToken ? text => { streamed = true; onToken(text); } : null;
+  let lastError = null;
+  for (const target of targets) {
+    if (!isConfigured(target.provider)) {
+      lastError = llmError(`${target.provider.keyName} not set`, { status: 500, provider: target.provider.name });
+      continue;
+    }
+    try {
+      const result = await callTarget(target, params, signal, relay);
+      recordLlmUsage(result);
+      return result;
+    } catch (err) {
+      lastError = err;
+      if (signal?.aborted || streamed) throw err;
+      // client errors (bad request, auth) would fail the same way on retry; only fall back on transient ones
+      if (!err.retryable) throw err;
+      log.warn("LLM failed, trying fallback", { provider: target.provider.name, model: target.model, error: String(err.message || err) });
+    }
+  }
+  throw lastError;
+}
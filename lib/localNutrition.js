@@ -0,0 +1,143 @@
+// lib/localNutrition.js
+// Offline nutrition from the bundled food table (lib/data/foods.json: values per 100 g, rounded from
+// USDA FoodData Central SR Legacy, with typical portion weights). Used when Spoonacular is not
+// configured or fails, so nutrition stays deterministic and needs no network.
+// Each ingredient is parsed (lib/ingredientParser.js), fuzzy-matched to a food, converted to grams
+// and reported with a matchConfidence between 0 and 1.
+
+import { readFileSync } from "fs";
+import path from "path";
+import { parseIngredient, MASS_UNITS } from "./ingredientParser.js";
+import { NUTRIENTS, buildNutrition } from "./nutrients.js";
+
+const FOODS = JSON.parse(readFileSync(path.join(process.cwd(), "lib/data/foods.json"), "utf8"));
+const MIN_CONFIDENCE = Number(process.env.LOCAL_NUTRITION_MIN_CONFIDENCE || 0.5);
+// share of a recipe's ingredients that must be matched before local totals replace the model's estimate
+const MIN_COVERAGE = Number(process.env.LOCAL_NUTRITION_MIN_COVERAGE || 0.6);
+
+// nutrients the table covers; the rest are reported as unknown (null)
+const COVERED = Object.keys(FOODS[0].per100g);
+const UNKNOWN = NUTRIENTS.map(n => n.key).filter(key => !COVERED.includes(key));
+
+// generic weights when a food has no portion of that kind; volumes assume the density of water
+export const VOLUME_ML = { ml: 1, l: 1000, cup: 240, tbsp: 15, tsp: 5 };
+const DEFAULT_PORTIONS = { pinch: 0.4, handful: 30, bunch: 100, can: 400, block: 400, container: 170, slice: 30 };
+
+// words that describe preparation rather than the food
+const STOP_WORDS = new Set([
+  "fresh", "freshly", "chopped", "diced", "minced", "sliced", "grated", "shredded", "crushed", "finely", "roughly",
+  "thinly", "peeled", "drained", "rinsed", "and", "or", "of", "to", "taste", "optional", "for", "serving", "garnish",
+  "about", "organic", "boneless", "skinless", "lean", "halved", "cubed", "packed", "divided", "plus", "more", "the", "a"
+]);
+
+function singular(word) {
+  if (word.length > 4 && word.endsWith("ies")) return word.slice(0, -3) + "y";
+  if (word.length > 4 && /(ches|shes|oes)$/.test(word)) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith("s") && !word.endsWith("ss")) return word.slice(0, -1);
+  return word;
+}
+
+// lowercased, singular words of a food name without preparation words ("Fresh chopped Tomatoes" -> ["tomato"])
+export function nameTokens(text) {
+  return String(text).toLowerCase().replace(/[^a-z%\s-]/g, " ").split(/[\s-]+/)
+    .filter(w => w && !STOP_WORDS.has(w)).map(singular);
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = tmp;
+    }
+  }
+  return row[b.length];
+}
+
+// exact token match 1, one typo in a longer word 0.8
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  if (a.length >= 5 && b.length >= 5 && editDistance(a, b) <= 1) return 0.8;
+  return 0;
+}
+
+// Dice coefficient over tokens, with fuzzy token equality
+function similarity(queryTokens, candidateTokens) {
+  if (!queryTokens.length || !candidateTokens.length) return 0;
+  const used = new Set();
+  let matched = 0;
+  for (const q of queryTokens) {
+    let best = 0;
+    let bestIndex = -1;
+    candidateTokens.forEach((c, i) => {
+      if (used.has(i)) return;
+      const s = tokenSimilarity(q, c);
+      if (s > best) { best = s; bestIndex = i; }
+    });
+    if (bestIndex >= 0) { used.add(bestIndex); matched += best; }
+  }
+  return 2 * matched / (queryTokens.length + candidateTokens.length);
+}
+
+const CANDIDATES = FOODS.flatMap(food => [food.name, ...(food.aliases || [])].map(label => ({ food, tokens: nameTokens(label) })));
+
+// Returns { food, confidence } for the best match, or null below LOCAL_NUTRITION_MIN_CONFIDENCE.
+export function matchFood(name, minConfidence = MIN_CONFIDENCE) {
+  const query = nameTokens(name);
+  let best = null;
+  for (const candidate of CANDIDATES) {
+    const score = similarity(query, candidate.tokens);
+    if (!best || score > best.confidence) best = { food: candidate.food, confidence: score };
+  }
+  if (!best || best.confidence < minConfidence) return null;
+  return { food: best.food, confidence: Math.round(best.confidence * 100) / 100 };
+}
+
+// grams for a parsed ingredient, or null when the amount can't be converted
+export function toGrams(parsed, food) {
+  if (parsed.grams) return parsed.grams;
+  if (parsed.quantity === null) return parsed.unit === "pinch" ? DEFAULT_PORTIONS.pinch : null;
+  const unit = parsed.unit || "piece";
+  if (MASS_UNITS[unit]) return parsed.quantity * MASS_UNITS[unit];
+  const portions = food.portions || {};
+  if (portions[unit]) return parsed.quantity * portions[unit];
+  if (VOLUME_ML[unit]) {
+    // food-specific cup weight scales to spoons and millilitres
+    const perMl = portions.cup ? portions.cup / 240 : 1;
+    return parsed.quantity * VOLUME_ML[unit] * perMl;
+  }
+  if (DEFAULT_PORTIONS[unit]) return parsed.quantity * DEFAULT_PORTIONS[unit];
+  return null;
+}
+
+// Resolves one ingredient line to { name, food, grams, matchConfidence, nutrients }.
+export function resolveIngredient(line) {
+  const parsed = parseIngredient(line);
+  const match = matchFood(parsed.name || parsed.original);
+  if (!match) return { name: parsed.original, food: null, grams: null, matchConfidence: 0, nutrients: {} };
+  const grams = toGrams(parsed, match.food);
+  if (grams === null) return { name: parsed.original, food: match.food.name, grams: null, matchConfidence: 0, nutrients: {} };
+  const nutrients = Object.fromEntries(Object.entries(match.food.per100g).map(([key, per100]) => [key, per100 * grams / 100]));
+  return { name: parsed.original, food: match.food.name, grams: Math.round(grams * 10) / 10, matchConfidence: match.confidence, nutrients };
+}
+
+// Nutrition object (lib/nutrients.js) with source "local_db", or null when too few ingredients matched.
+export function localNutrition(recipe, servings = 1) {
+  const lines = (recipe.ingredients || []).map(i => `${i.quantity || ""} ${i.name || ""}`.trim()).filter(Boolean);
+  if (!lines.length) return null;
+  const resolved = lines.map(resolveIngredient);
+  const matched = resolved.filter(r => r.matchConfidence > 0);
+  if (matched.length / resolved.length < MIN_COVERAGE) return null;
+
+  const nutrition = buildNutrition({
+    ingredients: resolved.map(r => ({ name: r.name, amount: r.grams, unit: r.grams === null ? null : "g", food: r.food, matchConfidence: r.matchConfidence, nutrients: r.nutrients })),
+    servings,
+    source: "local_db",
+    unknown: UNKNOWN
+  });
+  nutrition.matchConfidence = Math.round(resolved.reduce((sum, r) => sum + r.matchConfidence, 0) / resolved.length * 100) / 100;
+  return nutrition;
+}
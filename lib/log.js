@@ -0,0 +1,108 @@
+// lib/log.js
+// Structured JSON logs with per-request context. withApi() (lib/middleware.js) opens a context for every request
+// holding { requestId, endpoint, method, keyId }; each line logged while the request is handled (including work it
+// leaves running, such as async jobs) carries those fields. When the handler returns, one summary line is written:
+//   { time, level, msg: "request", requestId, endpoint, method, keyId, status, latencyMs,
+//     cache: { recipe: { hit: 1 } }, upstream: { calls, ms, errors, byName: { openai: { calls, ms, errors } } } }
+// Upstream calls (lib/upstream.js) are timed into that summary and logged one by one at debug level.
+// LOG_LEVEL (debug | info | warn | error, default info) filters lines. Key query parameters are masked in every
+// line, so URLs with a Spoonacular or Google key can be logged as they are.
+
+import { AsyncLocalStorage } from "async_hooks";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[String(process.env.LOG_LEVEL || "info").toLowerCase()] ?? LEVELS.info;
+// query parameters that carry credentials
+export const SECRET_PARAMS = ["apikey", "api_key", "key", "token", "access_token"];
+const SECRET_PARAM_PATTERN = new RegExp(`([?&](?:${SECRET_PARAMS.join("|")})=)[^&\\s"']+`, "gi");
+
+const requests = new AsyncLocalStorage();
+
+// Runs fn inside a request context; `fields` usually are { requestId, endpoint, method }.
+export function runWithRequestContext(fields, fn) {
+  return requests.run({ ...fields, keyId: null, cache: {}, upstream: { calls: 0, ms: 0, errors: 0, byName: {} } }, fn);
+}
+
+// the current request's context, or null outside a request
+export function requestContext() {
+  return requests.getStore() || null;
+}
+
+// Adds fields to the current request's context (and so to its log lines), e.g. the key id once authenticated.
+export function annotate(fields) {
+  const ctx = requests.getStore();
+  if (ctx) Object.assign(ctx, fields);
+}
+
+export function redactUrl(url) {
+  return String(url).replace(SECRET_PARAM_PATTERN, "$1[REDACTED]");
+}
+
+function serializeError(err) {
+  const out = { name: err.name, message: err.message };
+  if (err.status !== undefined) out.status = err.status;
+  if (err.code !== undefined) out.code = err.code;
+  if (err.provider) out.provider = err.provider;
+  if (err.stack) out.stack = err.stack.split("\n").slice(0, 8).join("\n");
+  return out;
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+  const ctx = requests.getStore();
+  const line = { time: new Date().toISOString(), level, msg };
+  if (ctx) Object.assign(line, { requestId: ctx.requestId, endpoint: ctx.endpoint, keyId: ctx.keyId });
+  for (const [key, value] of Object.entries(fields)) line[key] = value instanceof Error ? serializeError(value) : value;
+  let text;
+  try {
+    text = redactUrl(JSON.stringify(line));
+  } catch {
+    text = redactUrl(JSON.stringify({ time: line.time, level, msg, requestId: line.requestId, unserializable: true }));
+  }
+  if (level === "error") console.error(text);
+  else if (level === "warn") console.warn(text);
+  else console.log(text);
+}
+
+// log.info("message", { field: value }); Error values are serialized with name, message, status, code and stack.
+export const log = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields)
+};
+
+// Counts a cache lookup outcome ("hit", "stale", "miss", "coalesced") for the request summary.
+export function noteCache(namespace, status) {
+  const ctx = requests.getStore();
+  if (!ctx) return;
+  const counts = ctx.cache[namespace] || (ctx.cache[namespace] = {});
+  counts[status] = (counts[status] || 0) + 1;
+}
+
+// Records one upstream call: { upstream, method, url, status, ms, mode, error? }.
+export function noteUpstream({ upstream, method, url, status, ms, mode, error = null }) {
+  const ctx = requests.getStore();
+  if (ctx) {
+    const totals = ctx.upstream;
+    const byName = totals.byName[upstream] || (totals.byName[upstream] = { calls: 0, ms: 0, errors: 0 });
+    const failed = error || status >= 400 ? 1 : 0;
+    totals.calls++;
+    totals.ms += ms;
+    totals.errors += failed;
+    byName.calls++;
+    byName.ms += ms;
+    byName.errors += failed;
+  }
+  write(error ? "warn" : "debug", "upstream", { upstream, method, url: redactUrl(url), status, ms, mode, ...(error ? { error } : {}) });
+}
+
+// Writes the summary line for the current request.
+export function logRequest({ status, latencyMs }) {
+  const ctx = requests.getStore();
+  if (!ctx) return;
+  const fields = { method: ctx.method, status, latencyMs };
+  if (Object.keys(ctx.cache).length) fields.cache = ctx.cache;
+  if (ctx.upstream.calls) fields.upstream = ctx.upstream;
+  write(status >= 500 ? "error" : "info", "request", fields);
+}
@@ -0,0 +1,242 @@
+// lib/mealPlan.js
+// Multi-day meal plans built on the recipe pipeline (lib/recipes.js). Each meal type is generated with its
+// share of the daily calorie/macro targets, and its recipes are rotated across the days so none is cooked
+// more than MEAL_PLAN_MAX_REPEATS times. With leftovers on, dinner is cooked for twice the servings and the
+// second half becomes the next day's lunch.
+// Plans are stored through lib/store.js for MEAL_PLAN_TTL_SECONDS so single slots can be regenerated. Stored shape:
+// { id, owner, createdAt, updatedAt, days, meals, shares, leftovers, targets, request, recipes: { [id]: recipe },
+//   schedule: [{ day, slots: [{ meal, recipeId, title, leftoverFrom, nutrition }], totals, deviation }],
+//   weekly: [{ week, days, totals }], dailyAverage, warnings }
+
+import { kvGet, kvSet, kvDel } from "./store.js";
+import { generateRecipes } from "./recipes.js";
+import { resolveTargets, deviations } from "./targetFit.js";
+import { NUTRIENTS, estimatedNutrition } from "./nutrients.js";
+import { MOCK_RECIPES } from "./mockData.js";
+import { httpError } from "./errors.js";
+import crypto from "crypto";
+
+// share of the daily targets per meal; lunch and dinner match so leftovers fit either slot
+export const MEAL_SHARES = { breakfast: 0.25, lunch: 0.3, dinner: 0.3, snack: 0.15 };
+export const MEAL_TYPES = Object.keys(MEAL_SHARES);
+export const MAX_DAYS = Number(process.env.MEAL_PLAN_MAX_DAYS || 14);
+const MAX_REPEATS = Number(process.env.MEAL_PLAN_MAX_REPEATS || 2);
+const PLAN_TTL_SECONDS = Number(process.env.MEAL_PLAN_TTL_SECONDS || 30 * 86400);
+// recipes asked for per LLM call, and calls per meal type when the model returns fewer
+const RECIPES_PER_REQUEST = 4;
+const MAX_ROUNDS = 3;
+
+function storeKey(id) {
+  return `mealplan:${id}`;
+}
+
+// "Snacks" -> "snack"
+export function normalizeMeal(meal) {
+  const name = String(meal).trim().toLowerCase();
+  return name === "snacks" ? "snack" : name;
+}
+
+// Shares for the chosen meals, rescaled to add up to 1.
+export function mealShares(meals, custom = {}) {
+  const raw = Object.fromEntries(meals.map(meal => [meal, Number(custom[meal]) > 0 ? Number(custom[meal]) : MEAL_SHARES[meal]]));
+  const sum = Object.values(raw).reduce((a, b) => a + b, 0);
+  return Object.fromEntries(Object.entries(raw).map(([meal, share]) => [meal, Math.round(share / sum * 1000) / 1000]));
+}
+
+function usesLeftovers(plan) {
+  return plan.leftovers && plan.meals.includes("lunch") && plan.meals.includes("dinner");
+}
+
+// generateRecipes() input for one meal type: the slot's share of the daily targets, double servings for leftover dinners
+function generationRequest(plan, meal) {
+  const share = plan.shares[meal];
+  const daily = plan.targets || {};
+  const macroTargets = {};
+  for (const field of ["protein", "carbs", "fat"]) {
+    if (daily[field]) macroTargets[field] = Math.round(daily[field] * share);
+  }
+  const { servings } = plan.request;
+  return {
+    ...plan.request,
+    servings: meal === "dinner" && usesLeftovers(plan) ? servings * 2 : servings,
+    calorieTarget: daily.calories ? Math.round(daily.calories * share) : null,
+    userProfile: { ...plan.request.userProfile, macroTargets },
+    meal
+  };
+}
+
+// Asks for `needed` distinct recipes for a meal, over several calls if the model returns fewer.
+async function generateForMeal(plan, meal, needed, exclude, generate) {
+  const recipes = [];
+  const titles = new Set(exclude.map(t => t.toLowerCase()));
+  for (let round = 0; round < MAX_ROUNDS && recipes.length < needed; round++) {
+    let result;
+    try {
+      result = await generate({
+        ...generationRequest(plan, meal),
+        count: Math.min(RECIPES_PER_REQUEST, needed - recipes.length),
+        exclude: [...exclude, ...recipes.map(r => r.title)]
+      });
+    } catch (err) {
+      if (recipes.length) break;
+      throw err;
+    }
+    const fresh = result.recipes.filter(r => !titles.has(r.title.toLowerCase()));
+    if (!fresh.length) break;
+    for (const recipe of fresh.slice(0, needed - recipes.length)) {
+      titles.add(recipe.title.toLowerCase());
+      recipes.push(recipe);
+    }
+  }
+  return recipes;
+}
+
+// recipes using the most soon-to-expire ingredients go first, so they land on the earliest days
+function byPriority(recipes, priority) {
+  if (!priority.length) return recipes;
+  const uses = recipe => recipe.ingredients.filter(i => priority.some(p => i.name.toLowerCase().includes(p))).length;
+  return [...recipes].sort((a, b) => uses(b) - uses(a));
+}
+
+function addRecipe(plan, meal, recipe) {
+  const id = crypto.randomUUID().slice(0, 8);
+  plan.recipes[id] = { id, meal, servings: generationRequest(plan, meal).servings, ...recipe };
+  return plan.recipes[id];
+}
+
+function slotFor(recipe, meal, leftoverFrom = null) {
+  return { meal, recipeId: recipe.id, title: recipe.title, leftoverFrom, nutrition: recipe.nutrition?.perServing || null };
+}
+
+// sums per nutrient; null only when no slot knows the value
+function sumNutrition(list) {
+  const totals = {};
+  for (const { key, unit } of NUTRIENTS) {
+    const known = list.map(n => n?.[key]).filter(v => v !== null && v !== undefined);
+    const sum = known.reduce((a, b) => a + Number(b), 0);
+    totals[key] = known.length ? (unit === "kcal" ? Math.round(sum) : Math.round(sum * 10) / 10) : null;
+  }
+  return totals;
+}
+
+// Recomputes day, week and average totals, drops recipes no slot uses and lists over-repeated recipes.
+function refresh(plan) {
+  for (const day of plan.schedule) {
+    day.totals = sumNutrition(day.slots.map(s => s.nutrition));
+    day.deviation = plan.targets ? deviations(day.totals, plan.targets) : null;
+  }
+  plan.weekly = [];
+  for (let start = 0; start < plan.schedule.length; start += 7) {
+    const days = plan.schedule.slice(start, start + 7);
+    plan.weekly.push({ week: start / 7 + 1, days: days.map(d => d.day), totals: sumNutrition(days.map(d => d.totals)) });
+  }
+  const total = sumNutrition(plan.schedule.map(d => d.totals));
+  plan.dailyAverage = Object.fromEntries(Object.entries(total).map(([key, value]) =>
+    [key, value === null ? null : Math.round(value / plan.schedule.length * 10) / 10]));
+
+  const cooked = {};
+  for (const slot of plan.schedule.flatMap(d => d.slots)) {
+    if (!slot.leftoverFrom) cooked[slot.recipeId] = (cooked[slot.recipeId] || 0) + 1;
+  }
+  for (const id of Object.keys(plan.recipes)) if (!cooked[id]) delete plan.recipes[id];
+  plan.warnings = Object.entries(cooked).filter(([, times]) => times > MAX_REPEATS).map(([id, times]) =>
+    `"${plan.recipes[id].title}" is cooked ${times} times (limit ${MAX_REPEATS}): too few distinct ${plan.recipes[id].meal} recipes were generated`);
+  plan.updatedAt = new Date().toISOString();
+  return plan;
+}
+
+// Builds and stores a plan. `generate` defaults to generateRecipes (mock mode passes its own).
+export async function createMealPlan({ owner, days = 7, meals = MEAL_TYPES, shares = {}, calorieTarget = null, leftovers = true,
+  ingredients, priority = [], diet = "none", servings = 1, userProfile = {} }, generate = generateRecipes) {
+  const now = new Date().toISOString();
+  const plan = {
+    id: crypto.randomUUID(),
+    owner,
+    createdAt: now,
+    updatedAt: now,
+    days,
+    meals,
+    shares: mealShares(meals, shares),
+    leftovers,
+    // daily targets; each meal gets its share
+    targets: resolveTargets({ calorieTarget, userProfile }),
+    request: { ingredients, priority, diet, servings, userProfile: { ...userProfile, macroTargets: undefined } },
+    recipes: {},
+    schedule: []
+  };
+
+  // cooked slots per meal type: with leftovers, lunch is only cooked on day 1
+  const cookSlots = meal => (meal === "lunch" && usesLeftovers(plan) ? 1 : days);
+  const generated = await Promise.all(meals.map(meal =>
+    generateForMeal(plan, meal, Math.ceil(cookSlots(meal) / MAX_REPEATS), [], generate)));
+  const empty = meals.find((meal, i) => generated[i].length === 0);
+  if (empty) throw httpError(502, `No ${empty} recipe was generated`);
+  const rotation = Object.fromEntries(meals.map((meal, i) =>
+    [meal, byPriority(generated[i], priority).map(recipe => addRecipe(plan, meal, recipe))]));
+
+  for (let day = 1; day <= days; day++) {
+    const slots = meals.map(meal => {
+      if (meal === "lunch" && day > 1 && usesLeftovers(plan)) {
+        const dinner = plan.schedule[day - 2].slots.find(s => s.meal === "dinner");
+        return slotFor(plan.recipes[dinner.recipeId], meal, { day: day - 1, meal: "dinner" });
+      }
+      const list = rotation[meal];
+      const cookedBefore = plan.schedule.filter(d => d.slots.some(s => s.meal === meal && !s.leftoverFrom)).length;
+      return slotFor(list[cookedBefore % list.length], meal);
+    });
+    plan.schedule.push({ day, slots });
+  }
+
+  refresh(plan);
+  await kvSet(storeKey(plan.id), plan, PLAN_TTL_SECONDS);
+  return plan;
+}
+
+// Replaces one slot with a new recipe the plan doesn't have yet. A regenerated dinner also replaces the
+// next day's leftover lunch; a regenerated leftover lunch becomes a freshly cooked one.
+// Returns the updated plan, or null when the plan has no such slot.
+export async function regenerateSlot(plan, day, meal, generate = generateRecipes) {
+  const slot = plan.schedule.find(d => d.day === day)?.slots.find(s => s.meal === meal);
+  if (!slot) return null;
+  const exclude = [...new Set(Object.values(plan.recipes).map(r => r.title))];
+  const [recipe] = await generateForMeal(plan, meal, 1, exclude, generate);
+  if (!recipe) throw httpError(502, `No new ${meal} recipe was generated`);
+  const added = addRecipe(plan, meal, recipe);
+  Object.assign(slot, slotFor(added, meal));
+
+  const nextLunch = plan.schedule.find(d => d.day === day + 1)?.slots.find(s => s.meal === "lunch");
+  if (meal === "dinner" && nextLunch?.leftoverFrom?.day === day) Object.assign(nextLunch, slotFor(added, "lunch", nextLunch.leftoverFrom));
+
+  refresh(plan);
+  await kvSet(storeKey(plan.id), plan, PLAN_TTL_SECONDS);
+  return plan;
+}
+
+// Stand-in for generateRecipes in mock mode: copies of the mock recipe, numbered so plan slots can be told apart.
+export async function mockGenerate({ meal, count = 1, exclude = [], servings = 1 }) {
+  const [recipe] = MOCK_RECIPES;
+  const recipes = Array.from({ length: count }, (_, i) => ({
+    ...recipe,
+    title: `${recipe.title} (${meal} #${exclude.length + i + 1})`,
+    nutrition: estimatedNutrition({ estimatedCalories: recipe.calories * servings, macros: recipe.macros }, servings)
+  }));
+  return { recipes, cached: false, dropped: [] };
+}
+
+// Plans are only visible to the owner that created them.
+export async function getMealPlan(id, owner) {
+  const plan = await kvGet(storeKey(id));
+  return plan && plan.owner === owner ? plan : null;
+}
+
+export async function deleteMealPlan(id, owner) {
+  if (!(await getMealPlan(id, owner))) return false;
+  await kvDel(storeKey(id));
+  return true;
+}
+
+// The plan as returned to clients, without internal fields.
+export function publicPlan(plan) {
+  const { owner, request, ...rest } = plan;
+  return { ...rest, ingredients: request.ingredients, diet: request.diet, servings: request.servings };
+}
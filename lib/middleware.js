@@ -0,0 +1,126 @@
+// lib/middleware.js
+// Composable wrappers applied to every endpoint: request id, structured request log (lib/log.js) + error envelope, method check,
+// API-key auth (lib/apiKeys.js), per-endpoint rate limiting and, for endpoints that call paid upstream APIs,
+// usage budgets and metering (lib/usage.js). Typical use:
+//   export default withApi({ endpoint: "chat", methods: ["POST"] }, async (req, res) => { ... });
+
+import crypto from "crypto";
+import { authenticate, safeEqual } from "./apiKeys.js";
+import { sendError, errorBody } from "./errors.js";
+import { checkRateLimit } from "./rateLimit.js";
+import { checkBudget, runMetered } from "./usage.js";
+import { captureException } from "./sentry.js";
+import { log, runWithRequestContext, annotate, logRequest } from "./log.js";
+
+export function compose(...middlewares) {
+  return handler => middlewares.reduceRight((wrapped, middleware) => middleware(wrapped), handler);
+}
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{8,128}$/;
+
+// Keeps a well-formed X-Request-Id from the caller (or a gateway in front of us), otherwise assigns one,
+// runs the handler in a log context (lib/log.js) and writes its summary line when it returns.
+// Anything thrown becomes the JSON error envelope: errors carrying `status` (see httpError) keep it;
+// everything else is a 500 reported to Sentry.
+export function withErrors(endpoint) {
+  return handler => async (req, res) => {
+    const incoming = String(req.headers["x-request-id"] || "");
+    res.requestId = REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.setHeader("X-Request-Id", res.requestId);
+    return runWithRequestContext({ requestId: res.requestId, endpoint, method: req.method }, async () => {
+      const started = Date.now();
+      try {
+        return await handler(req, res);
+      } catch (err) {
+        const status = err.status || 500;
+        if (status >= 500) {
+          log.error("request failed", { error: err });
+          captureException(err);
+        }
+        if (res.headersSent) return res.end();
+        const message = err.status ? err.message : "Internal server error";
+        return res.status(status).json(errorBody(res, status, message, { code: err.code, ...err.details }));
+      } finally {
+        logRequest({ status: res.statusCode, latencyMs: Date.now() - started });
+      }
+    });
+  };
+}
+
+export function withMethods(methods) {
+  return handler => (req, res) => {
+    if (!methods.includes(req.method)) {
+      res.setHeader("Allow", methods.join(", "));
+      return sendError(res, 405, "Method not allowed");
+    }
+    return handler(req, res);
+  };
+}
+
+// sets req.apiKey = { id, name, budget } for the handlers and rate limiter
+export function withAuth(endpoint) {
+  return handler => async (req, res) => {
+    const auth = await authenticate(req, endpoint);
+    if (!auth.ok) {
+      if (auth.retryAfter) res.setHeader("Retry-After", String(auth.retryAfter));
+      return sendError(res, auth.status, auth.message);
+    }
+    req.apiKey = auth.key;
+    annotate({ keyId: auth.key.id });
+    return handler(req, res);
+  };
+}
+
+// admin endpoints use a separate ADMIN_SECRET sent as X-Admin-Key
+export function withAdmin(handler) {
+  return (req, res) => {
+    const presented = req.headers["x-admin-key"];
+    if (!process.env.ADMIN_SECRET) return sendError(res, 503, "ADMIN_SECRET not set", { code: "not_configured" });
+    if (!presented || !safeEqual(String(presented), process.env.ADMIN_SECRET)) return sendError(res, 401, "Invalid admin key");
+    annotate({ keyId: "admin" });
+    return handler(req, res);
+  };
+}
+
+// rate limits are tracked per API key id; anonymous (open proxy) callers per IP
+function clientId(req) {
+  if (req.apiKey && req.apiKey.id !== "open") return req.apiKey.id;
+  const forwarded = String(req.headers["x-forwarded-for"] || "").split(",")[0].trim();
+  return forwarded || req.socket?.remoteAddress || "anon";
+}
+
+export function withRateLimit(endpoint) {
+  return handler => async (req, res) => {
+    const rl = await checkRateLimit(endpoint, clientId(req));
+    res.setHeader("X-RateLimit-Limit", String(rl.limit));
+    res.setHeader("X-RateLimit-Remaining", String(rl.remaining));
+    res.setHeader("X-RateLimit-Reset", String(rl.resetSeconds));
+    if (!rl.ok) {
+      res.setHeader("Retry-After", String(rl.retryAfter));
+      return sendError(res, 429, "Rate limit exceeded", { limit: rl.limit, retryAfter: rl.retryAfter });
+    }
+    return handler(req, res);
+  };
+}
+
+// refuses keys whose usage budget is spent, then records upstream usage against key and endpoint
+export function withUsage(endpoint) {
+  return handler => async (req, res) => {
+    const over = await checkBudget(req.apiKey);
+    if (over) {
+      if (over.retryAfter) res.setHeader("Retry-After", String(over.retryAfter));
+      return sendError(res, over.status, over.message, { code: "budget_exceeded", limit: over.limit, max: over.max, used: over.used, resetsAt: over.resetsAt });
+    }
+    return runMetered({ keyId: req.apiKey.id, endpoint }, () => handler(req, res));
+  };
+}
+
+// metered: the endpoint calls paid upstream APIs (LLM, Spoonacular, Google Vision)
+export function withApi({ endpoint, methods = ["POST"], auth = true, admin = false, rateLimit = true, metered = false }, handler) {
+  const middlewares = [withErrors(endpoint), withMethods(methods)];
+  if (admin) middlewares.push(withAdmin);
+  else if (auth) middlewares.push(withAuth(endpoint));
+  if (rateLimit) middlewares.push(withRateLimit(endpoint));
+  if (metered && auth && !admin) middlewares.push(withUsage(endpoint));
+  return compose(...middlewares)(handler);
+}
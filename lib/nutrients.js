@@ -0,0 +1,142 @@
+// lib/nutrients.js
+// Nutrients we report, keyed by our field name, with Spoonacular's exact nutrient name, unit and
+// FDA daily value (2,000 kcal reference diet; null where there is none).
+// Names are matched exactly: "Saturated Fat" and "Net Carbohydrates" must not count as fat or carbs.
+//
+// A recipe's nutrition object:
+// { totals: { calories, protein, ... }, perServing: { ... },
+//   nutrients: [{ key, name, unit, amount, perServing, percentDailyValue }],
+//   ingredients: [{ name, amount, unit, nutrients: { calories, ... } }], source, estimatedFields: [key] }
+// totals/perServing hold every key below; null means unknown.
+
+export const NUTRIENTS = [
+  { key: "calories", name: "Calories", unit: "kcal", dailyValue: 2000 },
+  { key: "protein", name: "Protein", unit: "g", dailyValue: 50 },
+  { key: "fat", name: "Fat", unit: "g", dailyValue: 78 },
+  { key: "saturatedFat", name: "Saturated Fat", unit: "g", dailyValue: 20 },
+  { key: "transFat", name: "Trans Fat", unit: "g", dailyValue: null },
+  { key: "carbs", name: "Carbohydrates", unit: "g", dailyValue: 275 },
+  { key: "netCarbs", name: "Net Carbohydrates", unit: "g", dailyValue: null },
+  { key: "fiber", name: "Fiber", unit: "g", dailyValue: 28 },
+  { key: "sugar", name: "Sugar", unit: "g", dailyValue: null },
+  { key: "cholesterol", name: "Cholesterol", unit: "mg", dailyValue: 300 },
+  { key: "sodium", name: "Sodium", unit: "mg", dailyValue: 2300 },
+  { key: "potassium", name: "Potassium", unit: "mg", dailyValue: 4700 },
+  { key: "calcium", name: "Calcium", unit: "mg", dailyValue: 1300 },
+  { key: "iron", name: "Iron", unit: "mg", dailyValue: 18 },
+  { key: "magnesium", name: "Magnesium", unit: "mg", dailyValue: 420 },
+  { key: "zinc", name: "Zinc", unit: "mg", dailyValue: 11 },
+  // Spoonacular reports vitamin A in IU, so the pre-2016 DV (5000 IU) applies
+  { key: "vitaminA", name: "Vitamin A", unit: "IU", dailyValue: 5000 },
+  { key: "vitaminC", name: "Vitamin C", unit: "mg", dailyValue: 90 },
+  { key: "vitaminD", name: "Vitamin D", unit: "µg", dailyValue: 20 },
+  { key: "vitaminE", name: "Vitamin E", unit: "mg", dailyValue: 15 },
+  { key: "vitaminK", name: "Vitamin K", unit: "µg", dailyValue: 120 },
+  { key: "vitaminB6", name: "Vitamin B6", unit: "mg", dailyValue: 1.7 },
+  { key: "vitaminB12", name: "Vitamin B12", unit: "µg", dailyValue: 2.4 },
+  { key: "folate", name: "Folate", unit: "µg", dailyValue: 400 }
+];
+
+export const MACRO_KEYS = ["calories", "protein", "carbs", "fat"];
+const BY_NAME = new Map(NUTRIENTS.map(n => [n.name.toLowerCase(), n]));
+const MASS_IN_GRAMS = { g: 1, mg: 0.001, "µg": 0.000001, "μg": 0.000001, mcg: 0.000001, ug: 0.000001 };
+
+export function nutrientByName(name) {
+  return BY_NAME.get(String(name || "").trim().toLowerCase()) || null;
+}
+
+// Converts between mass units; other units must match exactly. Returns null when they can't be converted.
+export function convertAmount(amount, fromUnit, toUnit) {
+  const value = Number(amount);
+  if (!Number.isFinite(value)) return null;
+  const from = String(fromUnit || "").trim();
+  const to = String(toUnit || "").trim();
+  if (from.toLowerCase() === to.toLowerCase()) return value;
+  if (MASS_IN_GRAMS[from] && MASS_IN_GRAMS[to]) return value * MASS_IN_GRAMS[from] / MASS_IN_GRAMS[to];
+  return null;
+}
+
+function round(value, unit) {
+  if (value === null || value === undefined) return null;
+  return unit === "kcal" ? Math.round(value) : Math.round(value * 10) / 10;
+}
+
+// { key: amount } from a Spoonacular nutrients array ([{ name, amount, unit }]); unknown names are ignored
+export function fromSpoonacular(nutrients) {
+  const out = {};
+  for (const n of nutrients || []) {
+    const def = nutrientByName(n?.name);
+    if (!def) continue;
+    const amount = convertAmount(n.amount, n.unit || def.unit, def.unit);
+    if (amount !== null) out[def.key] = (out[def.key] || 0) + amount;
+  }
+  return out;
+}
+
+function emptyTotals(value) {
+  return Object.fromEntries(NUTRIENTS.map(n => [n.key, value]));
+}
+
+// Builds the nutrition object from per-ingredient contributions ([{ name, amount, unit, nutrients: { key: amount } }],
+// other fields are passed through) added to `base` totals. Keys listed in `unknown` stay null; keys in `estimatedFields` are reported as estimates.
+export function buildNutrition({ ingredients = [], base = {}, servings = 1, source, estimatedFields = [], unknown = [] }) {
+  const divisor = Math.max(1, Number(servings) || 1);
+  const totals = { ...emptyTotals(0), ...base };
+  for (const ing of ingredients) {
+    for (const [key, amount] of Object.entries(ing.nutrients || {})) {
+      if (key in totals) totals[key] += Number(amount) || 0;
+    }
+  }
+  for (const key of unknown) totals[key] = null;
+
+  const perServing = {};
+  const nutrients = [];
+  for (const def of NUTRIENTS) {
+    const total = totals[def.key];
+    const serving = total === null ? null : total / divisor;
+    totals[def.key] = round(total, def.unit);
+    perServing[def.key] = round(serving, def.unit);
+    nutrients.push({
+      key: def.key,
+      name: def.name,
+      unit: def.unit,
+      amount: totals[def.key],
+      perServing: perServing[def.key],
+      percentDailyValue: serving !== null && def.dailyValue ? Math.round(serving / def.dailyValue * 100) : null
+    });
+  }
+
+  return {
+    totals,
+    perServing,
+    nutrients,
+    ingredients: ingredients.map(({ nutrients: contribution, ...ing }) => ({
+      name: ing.name,
+      amount: null,
+      unit: null,
+      ...ing,
+      nutrients: Object.fromEntries(Object.entries(contribution || {}).map(([key, amount]) => {
+        const def = NUTRIENTS.find(n => n.key === key);
+        return [key, round(amount, def?.unit)];
+      }))
+    })),
+    source,
+    estimatedFields
+  };
+}
+
+// Fallback from the model's own estimatedCalories/macros: only those four fields are known, and all are estimates.
+export function estimatedNutrition(recipe, servings = 1) {
+  return buildNutrition({
+    base: {
+      calories: Number(recipe.estimatedCalories) || 0,
+      protein: Number(recipe.macros?.protein) || 0,
+      carbs: Number(recipe.macros?.carbs) || 0,
+      fat: Number(recipe.macros?.fat) || 0
+    },
+    servings,
+    source: "openai_estimate",
+    estimatedFields: MACRO_KEYS,
+    unknown: NUTRIENTS.map(n => n.key).filter(key => !MACRO_KEYS.includes(key))
+  });
+}
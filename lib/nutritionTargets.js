@@ -0,0 +1,127 @@
+// lib/nutritionTargets.js
+// Daily calorie and macro targets from a userProfile { age, sex, weightKg, heightCm, activityLevel, goal }
+// (`weight`/`height` are read as kg/cm, `activity` and `goals` are accepted too):
+//   BMR (Mifflin-St Jeor) = 10 × kg + 6.25 × cm − 5 × age + 5 (male) / − 161 (female); the midpoint otherwise
+//   TDEE = BMR × activity factor; calories = TDEE + goal adjustment, never below a per-sex floor
+//   protein from g/kg by goal (at most PROTEIN_MAX_SHARE of calories), fat FAT_SHARE of calories, carbs the rest,
+//   fiber 14 g per 1000 kcal
+// userProfile.calorieTarget and userProfile.macroTargets { protein, carbs, fat } (daily) override computed values.
+// Targets can be saved per owner (API key + X-User-Id, see lib/pantry.js) for the food log summaries.
+
+import { kvGet, kvSet, kvDel } from "./store.js";
+
+export const ACTIVITY_FACTORS = { sedentary: 1.2, light: 1.375, moderate: 1.55, active: 1.725, very_active: 1.9 };
+const ACTIVITY_ALIASES = {
+  lightly_active: "light", moderately_active: "moderate", very: "very_active", extra_active: "very_active", extremely_active: "very_active"
+};
+// kcal/day on top of TDEE: about 0.5 kg a week down, a lean surplus up
+export const GOAL_ADJUSTMENTS = { lose: -500, maintain: 0, gain: 300 };
+const PROTEIN_PER_KG = { lose: 1.8, maintain: 1.4, gain: 1.7 };
+const SEX_OFFSETS = { male: 5, female: -161, other: -78 };
+const CALORIE_FLOORS = { male: 1500, female: 1200, other: 1350 };
+const FAT_SHARE = 0.3;
+const PROTEIN_MAX_SHARE = 0.35;
+const FIBER_PER_1000_KCAL = 14;
+const LIMITS = { age: [18, 100], weightKg: [30, 300], heightCm: [120, 250] };
+
+function storeKey(owner) {
+  return `targets:${owner}`;
+}
+
+function normalizeSex(value) {
+  const sex = String(value ?? "").trim().toLowerCase();
+  if (["male", "m", "man"].includes(sex)) return "male";
+  if (["female", "f", "woman"].includes(sex)) return "female";
+  return sex ? "other" : null;
+}
+
+function normalizeActivity(value) {
+  const level = String(value ?? "moderate").trim().toLowerCase().replace(/[\s-]+/g, "_");
+  const name = ACTIVITY_ALIASES[level] || level;
+  return ACTIVITY_FACTORS[name] ? name : null;
+}
+
+// "lose weight", ["fat loss"], "bulk" -> lose | maintain | gain
+function normalizeGoal(value) {
+  const text = (Array.isArray(value) ? value.join(" ") : String(value ?? "")).toLowerCase();
+  if (/los[es]|loss|cut|deficit|slim/.test(text)) return "lose";
+  if (/gain|bulk|build|muscle|surplus/.test(text)) return "gain";
+  return "maintain";
+}
+
+const round10 = n => Math.round(n / 10) * 10;
+
+// Returns { ok, targets: { calories, protein, carbs, fat, fiber }, calculation, profile } or { ok: false, error, missing? }.
+export function computeTargets(userProfile) {
+  if (!userProfile || typeof userProfile !== "object" || Array.isArray(userProfile)) return { ok: false, error: "userProfile must be an object" };
+  const profile = {
+    age: Number(userProfile.age),
+    sex: normalizeSex(userProfile.sex),
+    weightKg: Number(userProfile.weightKg ?? userProfile.weight),
+    heightCm: Number(userProfile.heightCm ?? userProfile.height),
+    activityLevel: normalizeActivity(userProfile.activityLevel ?? userProfile.activity),
+    goal: normalizeGoal(userProfile.goal ?? userProfile.goals)
+  };
+  const missing = ["age", "sex", "weightKg", "heightCm"].filter(field => !profile[field]);
+  if (missing.length) return { ok: false, error: `userProfile needs ${missing.join(", ")} to compute targets`, missing };
+  for (const [field, [min, max]] of Object.entries(LIMITS)) {
+    if (!(profile[field] >= min && profile[field] <= max)) return { ok: false, error: `userProfile.${field} must be between ${min} and ${max}` };
+  }
+  if (!profile.activityLevel) return { ok: false, error: `userProfile.activityLevel must be one of ${Object.keys(ACTIVITY_FACTORS).join(", ")}` };
+
+  const bmr = Math.round(10 * profile.weightKg + 6.25 * profile.heightCm - 5 * profile.age + SEX_OFFSETS[profile.sex]);
+  const tdee = Math.round(bmr * ACTIVITY_FACTORS[profile.activityLevel]);
+  const adjusted = tdee + GOAL_ADJUSTMENTS[profile.goal];
+  const floored = adjusted < CALORIE_FLOORS[profile.sex];
+  const overridden = [];
+
+  let calories = round10(Math.max(adjusted, CALORIE_FLOORS[profile.sex]));
+  if (Number(userProfile.calorieTarget) > 0) {
+    calories = Math.round(Number(userProfile.calorieTarget));
+    overridden.push("calories");
+  }
+  const macros = userProfile.macroTargets || {};
+  const given = field => (Number(macros[field]) > 0 ? Math.round(Number(macros[field])) : null);
+  const protein = given("protein") ?? Math.round(Math.min(profile.weightKg * PROTEIN_PER_KG[profile.goal], calories * PROTEIN_MAX_SHARE / 4));
+  const fat = given("fat") ?? Math.round(calories * FAT_SHARE / 9);
+  const carbs = given("carbs") ?? Math.max(0, Math.round((calories - protein * 4 - fat * 9) / 4));
+  for (const field of ["protein", "carbs", "fat"]) if (given(field) !== null) overridden.push(field);
+
+  return {
+    ok: true,
+    targets: { calories, protein, carbs, fat, fiber: Math.round(calories / 1000 * FIBER_PER_1000_KCAL) },
+    calculation: {
+      method: "mifflin-st-jeor",
+      bmr,
+      tdee,
+      activityFactor: ACTIVITY_FACTORS[profile.activityLevel],
+      goalAdjustment: GOAL_ADJUSTMENTS[profile.goal],
+      floored,
+      overridden
+    },
+    profile
+  };
+}
+
+// { targets, calculation, profile, updatedAt } or null
+export async function getSavedTargets(owner) {
+  return kvGet(storeKey(owner));
+}
+
+export async function saveTargets(owner, { targets, calculation, profile }) {
+  const saved = { targets, calculation, profile, updatedAt: new Date().toISOString() };
+  await kvSet(storeKey(owner), saved, 0);
+  return saved;
+}
+
+export async function deleteSavedTargets(owner) {
+  await kvDel(storeKey(owner));
+}
+
+// Saved targets win; otherwise they are computed from `profile` when it has enough fields. Null when neither works.
+export async function targetsFor(owner, profile = null) {
+  const saved = owner ? await getSavedTargets(owner) : null;
+  if (saved) return { ...saved, source: "saved" };
+  const computed = profile ? computeTargets(profile) : null;
+  return computed?.ok ? { targets: computed.targets, calculation: computed.calculation, profile: computed.profile, source: "profile" } : null;
+}
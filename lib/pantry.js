@@ -0,0 +1,165 @@
+// lib/pantry.js
+// Per-user pantry inventory stored through lib/store.js (Upstash or in-memory), without expiry.
+// A pantry belongs to the calling API key plus the optional X-User-Id header, so one app key can
+// hold a pantry per end user. Items live in a hash keyed by item id, so concurrent writes (a photo added
+// while the app deletes an item) each touch only their own item; the pantry's updatedAt is a separate key.
+// item = { id, name, quantity, unit, addedAt, expiresAt, source: "manual" | "photo" | "barcode", barcode?, confidence? }
+
+import { kvGet, kvSet, kvDel, kvHashSet, kvHashGet, kvHashDel, kvHashValues } from "./store.js";
+import { requestOwner } from "./utils.js";
+import crypto from "crypto";
+
+export const PANTRY_MAX_ITEMS = Number(process.env.PANTRY_MAX_ITEMS || 200);
+export const EXPIRING_SOON_DAYS = Number(process.env.PANTRY_EXPIRING_SOON_DAYS || 3);
+const DAY_MS = 86400000;
+
+// Returns the pantry owner for a request (the same owner as its chat conversations), or null when
+// X-User-Id is malformed.
+export function pantryOwner(req) {
+  return requestOwner(req);
+}
+
+function storeKey(owner) {
+  return `pantry:${owner}`;
+}
+
+function updatedKey(owner) {
+  return `pantry-updated:${owner}`;
+}
+
+export function normalizeName(name) {
+  return String(name || "").trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+function parseDate(value) {
+  if (value === null || value === undefined || value === "") return { ok: true, value: null };
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return { ok: false };
+  return { ok: true, value: date.toISOString() };
+}
+
+// Validates client input for a new item or a patch. Returns { ok, fields } or { ok: false, error }.
+export function validateItemInput(input, { partial = false } = {}) {
+  if (!input || typeof input !== "object") return { ok: false, error: "item must be an object" };
+  const fields = {};
+  if (!partial || input.name !== undefined) {
+    const name = normalizeName(input.name);
+    if (!name || name.length > 100) return { ok: false, error: "name must be a non-empty string (max 100 characters)" };
+    fields.name = name;
+  }
+  if (input.quantity !== undefined) {
+    if (input.quantity !== null && !(Number(input.quantity) >= 0)) return { ok: false, error: "quantity must be a non-negative number" };
+    fields.quantity = input.quantity === null ? null : Number(input.quantity);
+  }
+  if (input.unit !== undefined) fields.unit = input.unit ? String(input.unit).trim().toLowerCase().slice(0, 20) : null;
+  if (input.expiresAt !== undefined) {
+    const expires = parseDate(input.expiresAt);
+    if (!expires.ok) return { ok: false, error: "expiresAt must be a date" };
+    fields.expiresAt = expires.value;
+  }
+  return { ok: true, fields };
+}
+
+// { items (oldest first), updatedAt }
+export async function getPantry(owner) {
+  const [items, updatedAt] = await Promise.all([kvHashValues(storeKey(owner)), kvGet(updatedKey(owner))]);
+  items.sort((a, b) => String(a.addedAt).localeCompare(String(b.addedAt)));
+  return { items, updatedAt: updatedAt || null };
+}
+
+async function touch(owner) {
+  await kvSet(updatedKey(owner), new Date().toISOString(), 0);
+}
+
+// Adds items; an item with the same name, unit and expiry as an existing one is merged into it
+// (quantities summed). New items beyond PANTRY_MAX_ITEMS are not stored: the write is undone when the hash
+// outgrew the limit, so concurrent adds can't overshoot it. Returns { added, skipped } where added
+// holds the stored versions and skipped the inputs that didn't fit.
+export async function addItems(owner, inputs, { source = "manual" } = {}) {
+  const { items } = await getPantry(owner);
+  const now = new Date().toISOString();
+  const added = [];
+  const skipped = [];
+  for (const input of inputs) {
+    const item = { name: "", quantity: null, unit: null, expiresAt: null, ...input };
+    item.name = normalizeName(item.name);
+    const existing = items.find(i => i.name === item.name && i.unit === item.unit && i.expiresAt === item.expiresAt);
+    if (existing) {
+      if (item.quantity !== null) existing.quantity = (existing.quantity || 0) + item.quantity;
+      if (item.confidence !== undefined) existing.confidence = Math.max(existing.confidence || 0, item.confidence);
+      await kvHashSet(storeKey(owner), existing.id, existing);
+      added.push(existing);
+      continue;
+    }
+    const stored = { id: crypto.randomUUID(), ...item, source: item.source || source, addedAt: now };
+    const count = await kvHashSet(storeKey(owner), stored.id, stored);
+    if (count > PANTRY_MAX_ITEMS) {
+      await kvHashDel(storeKey(owner), stored.id);
+      skipped.push(input);
+      continue;
+    }
+    items.push(stored);
+    added.push(stored);
+  }
+  if (added.length) await touch(owner);
+  return { added, skipped };
+}
+
+export async function updateItem(owner, id, fields) {
+  const item = await kvHashGet(storeKey(owner), id);
+  if (!item) return null;
+  Object.assign(item, fields);
+  await kvHashSet(storeKey(owner), id, item);
+  await touch(owner);
+  return item;
+}
+
+export async function removeItem(owner, id) {
+  if (!(await kvHashDel(storeKey(owner), id))) return false;
+  await touch(owner);
+  return true;
+}
+
+export async function clearPantry(owner) {
+  await kvDel(storeKey(owner));
+  await kvDel(updatedKey(owner));
+}
+
+// whole calendar days (UTC) until the expiry date: 0 = expires today, negative = expired
+export function daysUntilExpiry(item, now = Date.now()) {
+  if (!item.expiresAt) return null;
+  return Math.floor(new Date(item.expiresAt).getTime() / DAY_MS) - Math.floor(now / DAY_MS);
+}
+
+// Soonest expiry first; items without a date last, newest additions before older ones.
+export function sortByExpiry(items) {
+  return [...items].sort((a, b) => {
+    if (a.expiresAt && b.expiresAt) return a.expiresAt.localeCompare(b.expiresAt);
+    if (a.expiresAt || b.expiresAt) return a.expiresAt ? -1 : 1;
+    return String(b.addedAt).localeCompare(String(a.addedAt));
+  });
+}
+
+// What recipe generation needs: ingredient names (soonest expiry first, already-expired items skipped)
+// and the ones expiring within EXPIRING_SOON_DAYS, which the prompt asks to use first.
+export function pantryIngredients(items, now = Date.now()) {
+  const usable = sortByExpiry(items).filter(i => {
+    const days = daysUntilExpiry(i, now);
+    return days === null || days >= 0;
+  });
+  const names = [...new Set(usable.map(i => i.name))];
+  const expiringSoon = [...new Set(usable.filter(i => {
+    const days = daysUntilExpiry(i, now);
+    return days !== null && days <= EXPIRING_SOON_DAYS;
+  }).map(i => i.name))];
+  return { ingredients: names, expiringSoon };
+}
+
+// pantry items for /api/parse-image detections and /api/barcode-lookup products
+export function detectedItems(items) {
+  return (items || []).filter(i => normalizeName(i?.name)).map(i => ({ name: i.name, confidence: i.confidence, source: "photo" }));
+}
+
+export function productItem(product, { quantity = 1, expiresAt = null } = {}) {
+  return { name: product.productName, quantity, unit: "package", expiresAt, barcode: product.barcode || null, source: "barcode" };
+}
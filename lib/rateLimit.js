@@ -0,0 +1,65 @@
+// lib/rateLimit.js
+// Sliding-window rate limiting per endpoint and client, on top of lib/store.js counters.
+// Uses the "sliding window counter" approximation: the previous fixed window's count is weighted by how
+// much of it still overlaps the sliding window, so there's no burst at the calendar boundary.
+// Quotas: RATE_LIMIT_<ENDPOINT> (e.g. RATE_LIMIT_CHAT) per RATE_LIMIT_WINDOW_SECONDS (default one day).
+
+import { kvGet, kvIncr } from "./store.js";
+
+const WINDOW_SECONDS = Number(process.env.RATE_LIMIT_WINDOW_SECONDS || 86400);
+
+const DEFAULT_LIMITS = {
+  chat: 200,
+  "generate-meals": Number(process.env.RATE_LIMIT_PER_DAY || 50),
+  "parse-image": 50,
+  "barcode-lookup": 500,
+  conversations: 500,
+  "food-log": 1000,
+  // CRUD per X-User-Id behind one key
+  pantry: 2000,
+  // creating plans calls the model; reads and slot swaps share the quota
+  "meal-plan": 300,
+  "shopping-list": 500,
+  // clients may poll their usage
+  usage: 1000,
+  targets: 500,
+  // job status polling
+  jobs: 3000
+};
+
+export function rateLimitFor(endpoint) {
+  const fromEnv = Number(process.env[`RATE_LIMIT_${endpoint.toUpperCase().replace(/[^A-Z0-9]/g, "_")}`]);
+  if (Number.isFinite(fromEnv) && fromEnv > 0) return fromEnv;
+  return DEFAULT_LIMITS[endpoint] || 100;
+}
+
+// Counts one request for (endpoint, clientId) and checks the window against the quota. The counter is
+// incremented before the check so concurrent requests can't all pass on the same count; rejected
+// requests stay counted, so a client that keeps hammering stays limited.
+// Returns { ok, limit, remaining, resetSeconds, retryAfter }.
+export async function checkRateLimit(endpoint, clientId, limit = rateLimitFor(endpoint)) {
+  const now = Date.now() / 1000;
+  const windowIndex = Math.floor(now / WINDOW_SECONDS);
+  const elapsed = now - windowIndex * WINDOW_SECONDS;
+  const prefix = `rl:${endpoint}:${clientId || "anon"}`;
+  // keep counters for two windows so the next window can still weight this one
+  const [prevRaw, count] = await Promise.all([
+    kvGet(`${prefix}:${windowIndex - 1}`),
+    kvIncr(`${prefix}:${windowIndex}`, WINDOW_SECONDS * 2)
+  ]);
+  const resetSeconds = Math.ceil(WINDOW_SECONDS - elapsed);
+  if (count === null) return { ok: true, limit, remaining: limit, resetSeconds, retryAfter: 0 }; // fail open on Redis errors
+  const previous = Number(prevRaw) || 0;
+  const overlap = (WINDOW_SECONDS - elapsed) / WINDOW_SECONDS;
+
+  if (previous * overlap + count > limit) {
+    // wait until the previous window's weight has decayed enough to admit this request
+    let retryAfter = resetSeconds;
+    if (previous > 0 && count <= limit) {
+      retryAfter = Math.ceil(WINDOW_SECONDS - elapsed - ((limit - count) * WINDOW_SECONDS) / previous);
+    }
+    return { ok: false, limit, remaining: 0, resetSeconds, retryAfter: Math.max(1, retryAfter) };
+  }
+  const remaining = Math.max(0, Math.floor(limit - (previous * overlap + count)));
+  return { ok: true, limit, remaining, resetSeconds, retryAfter: 0 };
+}
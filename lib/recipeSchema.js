@@ -0,0 +1,114 @@
+// lib/recipeSchema.js
+// Strict shape of the recipes the LLM must return, as a JSON Schema (for providers with structured output)
+// and as a validator that reports readable errors (fed back to the model in repair retries).
+// A valid recipe: { title, description, ingredients: [{ name, quantity }], steps: [string],
+// estimatedCalories: number, macros: { protein, carbs, fat } } - calories and macros for the whole recipe.
+
+import { safeParseJson } from "./utils.js";
+
+const MACROS = ["protein", "carbs", "fat"];
+
+export const RECIPE_JSON_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["recipes"],
+  properties: {
+    recipes: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["title", "description", "ingredients", "steps", "estimatedCalories", "macros"],
+        properties: {
+          title: { type: "string" },
+          description: { type: "string" },
+          ingredients: {
+            type: "array",
+            items: {
+              type: "object",
+              additionalProperties: false,
+              required: ["name", "quantity"],
+              properties: { name: { type: "string" }, quantity: { type: "string" } }
+            }
+          },
+          steps: { type: "array", items: { type: "string" } },
+          estimatedCalories: { type: "number" },
+          macros: {
+            type: "object",
+            additionalProperties: false,
+            required: MACROS,
+            properties: { protein: { type: "number" }, carbs: { type: "number" }, fat: { type: "number" } }
+          }
+        }
+      }
+    }
+  }
+};
+
+function isNonEmptyString(v) {
+  return typeof v === "string" && v.trim().length > 0;
+}
+function isAmount(v) {
+  return typeof v === "number" && Number.isFinite(v) && v >= 0;
+}
+
+// Returns { recipe } with only the schema fields (trimmed), or { errors: [string] }.
+export function validateRecipe(raw) {
+  const errors = [];
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { errors: ["must be an object"] };
+
+  if (!isNonEmptyString(raw.title)) errors.push("title must be a non-empty string");
+  if (raw.description !== undefined && typeof raw.description !== "string") errors.push("description must be a string");
+
+  if (!Array.isArray(raw.ingredients) || raw.ingredients.length === 0) {
+    errors.push("ingredients must be a non-empty array");
+  } else {
+    raw.ingredients.forEach((ing, i) => {
+      if (!isNonEmptyString(ing?.name)) errors.push(`ingredients[${i}].name must be a non-empty string`);
+      const q = ing?.quantity;
+      if (!isNonEmptyString(q) && !(typeof q === "number" && q > 0)) errors.push(`ingredients[${i}].quantity must be a string such as "200 g"`);
+    });
+  }
+
+  if (!Array.isArray(raw.steps) || raw.steps.length === 0) errors.push("steps must be a non-empty array of strings");
+  else if (!raw.steps.every(isNonEmptyString)) errors.push("every step must be a non-empty string");
+
+  if (!isAmount(raw.estimatedCalories) || raw.estimatedCalories === 0) errors.push("estimatedCalories must be a positive number (not a string)");
+  if (!raw.macros || typeof raw.macros !== "object") {
+    errors.push("macros must be an object with numeric protein, carbs and fat");
+  } else {
+    for (const m of MACROS) if (!isAmount(raw.macros[m])) errors.push(`macros.${m} must be a number of grams (not a string)`);
+  }
+
+  if (errors.length) return { errors };
+  return {
+    recipe: {
+      title: raw.title.trim(),
+      description: (raw.description || "").trim(),
+      ingredients: raw.ingredients.map(i => ({ name: i.name.trim(), quantity: String(i.quantity).trim() })),
+      steps: raw.steps.map(s => s.trim()),
+      estimatedCalories: raw.estimatedCalories,
+      macros: { protein: raw.macros.protein, carbs: raw.macros.carbs, fat: raw.macros.fat }
+    }
+  };
+}
+
+// Parses and validates a model response. Valid recipes are kept even when others fail.
+// Returns { recipes, dropped: [{ index, title, reason, errors }], problems: [string] } where problems
+// lists everything wrong with the response (empty when it was fully valid).
+export function parseRecipeResponse(text) {
+  const parsed = safeParseJson(text);
+  if (!parsed || !Array.isArray(parsed.recipes)) {
+    return { recipes: [], dropped: [], problems: ['response must be a JSON object of the form { "recipes": [ ... ] }'] };
+  }
+  const recipes = [];
+  const dropped = [];
+  parsed.recipes.forEach((raw, index) => {
+    const { recipe, errors } = validateRecipe(raw);
+    if (recipe) recipes.push(recipe);
+    else dropped.push({ index, title: isNonEmptyString(raw?.title) ? raw.title.trim() : null, reason: "invalid", errors });
+  });
+  const problems = dropped.map(d => `recipes[${d.index}]${d.title ? ` ("${d.title}")` : ""}: ${d.errors.join("; ")}`);
+  if (parsed.recipes.length === 0) problems.push("recipes must contain at least one recipe");
+  return { recipes, dropped, problems };
+}
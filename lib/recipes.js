@@ -0,0 +1,294 @@
+// lib/recipes.js
+// Recipe generation pipeline shared by /api/generate-meals and the chat assistant's tools:
+// recipe cache (lib/cache.js: stale-while-revalidate, coalesced) -> LLM recipe JSON (validated, with repair retries)
+// -> nutrition (Spoonacular, else the bundled food table, else the model's estimate)
+// -> diet/allergy post-check (lib/allergens.js) and portion scaling towards calorie/macro targets (lib/targetFit.js).
+// The cache key covers every prompt input, so the post-checks only see recipes generated for the same request.
+// Errors meant for the client are thrown with httpError() so the error middleware can answer with their status.
+
+import { createLimiter, stableStringify } from "./utils.js";
+import { cacheGet, cacheSet, CACHE_TTL_SECONDS } from "./store.js";
+import { getOrCompute, peek } from "./cache.js";
+import { recordSpoonacular } from "./usage.js";
+import { upstreamFetch, replaying } from "./upstream.js";
+import { captureException, captureMessage } from "./sentry.js";
+import { log } from "./log.js";
+import { complete, llmConfigError, resolveTargets as resolveModels } from "./llm.js";
+import { httpError } from "./errors.js";
+import { RECIPE_JSON_SCHEMA, parseRecipeResponse } from "./recipeSchema.js";
+import { resolveTargets, fitRecipesToTargets } from "./targetFit.js";
+import { fromSpoonacular, buildNutrition, estimatedNutrition } from "./nutrients.js";
+import { localNutrition } from "./localNutrition.js";
+import { complianceRules, rulesActive, checkRecipe, describeViolation, restrictionPrompt } from "./allergens.js";
+import crypto from "crypto";
+
+const SPOONACULAR_KEY = process.env.SPOONACULAR_KEY || "";
+const RECIPE_CACHE_TTL = Number(process.env.RECIPE_CACHE_TTL || 21600);
+const CONCURRENCY = Number(process.env.SPOONACULAR_CONCURRENCY || 5);
+const REPAIR_ATTEMPTS = Number(process.env.RECIPE_REPAIR_ATTEMPTS || 1);
+const DEFAULT_COUNT = 3;
+// bump when the prompt or recipe shape changes, so entries made by older code are never served
+const RECIPE_CACHE_VERSION = 2;
+const TOKENS_PER_RECIPE = 400;
+
+let limiterInit = null;
+function getLimiter() {
+  if (!limiterInit) limiterInit = createLimiter(CONCURRENCY);
+  return limiterInit;
+}
+
+function normalizeList(list) {
+  return [...list].map(s => String(s).trim().toLowerCase()).sort();
+}
+
+function recipeModel() {
+  try {
+    const [primary] = resolveModels("meals");
+    return `${primary.provider.name}/${primary.model}`;
+  } catch {
+    return "unknown";
+  }
+}
+
+// Every input that reaches the prompt is part of the key (the whole userProfile is sent, allergies included),
+// plus the prompt version and the model.
+export function recipeCacheKey({ ingredients, diet, calorieTarget = null, servings, userProfile = {}, priority = [], meal = null, count = DEFAULT_COUNT, exclude = [], avoid = [] }) {
+  const normalized = {
+    model: recipeModel(),
+    ingredients: normalizeList(ingredients),
+    diet: String(diet || "").toLowerCase(),
+    calorieTarget: Number(calorieTarget) || null,
+    servings: Number(servings || 1),
+    userProfile: userProfile || {},
+    priority: normalizeList(priority),
+    meal: meal ? String(meal).toLowerCase() : null,
+    count,
+    exclude: normalizeList(exclude),
+    avoid: normalizeList(avoid)
+  };
+  const hash = crypto.createHash("sha256").update(stableStringify(normalized)).digest("hex");
+  return `recipe:v${RECIPE_CACHE_VERSION}:${hash}`;
+}
+
+async function requestRecipes(messages, maxTokens) {
+  let completion;
+  try {
+    completion = await complete({
+      endpoint: "meals",
+      messages,
+      temperature: 0.2,
+      maxTokens,
+      json: { name: "recipes", schema: RECIPE_JSON_SCHEMA }
+    });
+  } catch (err) {
+    log.error("LLM call failed", { error: err });
+    captureException(err);
+    throw httpError(502, "LLM request failed");
+  }
+  const text = completion.content || "";
+  return { text, ...parseRecipeResponse(text) };
+}
+
+// Asks for recipes and, while the response fails validation, sends the errors back for up to
+// RECIPE_REPAIR_ATTEMPTS corrections. Keeps the attempt with the most valid recipes.
+async function requestValidRecipes(messages, maxTokens) {
+  const convo = [...messages];
+  let best = null;
+  for (let attempt = 0; attempt <= REPAIR_ATTEMPTS; attempt++) {
+    let result;
+    try {
+      result = await requestRecipes(convo, maxTokens);
+    } catch (err) {
+      if (best) break;
+      throw err;
+    }
+    if (!best || result.recipes.length >= best.recipes.length) best = result;
+    if (result.problems.length === 0) break;
+
+    log.warn("LLM recipes failed validation", { attempt: attempt + 1, problems: result.problems.slice(0, 10) });
+    convo.push(
+      { role: "assistant", content: result.text },
+      { role: "user", content: `Your response failed validation:\n- ${result.problems.join("\n- ")}\nRespond again with the complete corrected JSON only.` }
+    );
+  }
+  if (best.recipes.length === 0) {
+    captureMessage("LLM returned no valid recipes");
+    throw httpError(502, "LLM returned no valid recipes");
+  }
+  return { recipes: best.recipes, dropped: best.dropped };
+}
+
+// Attaches a compliance report to every recipe and moves the violating ones to `dropped`.
+function screenRecipes(recipes, rules) {
+  const kept = [];
+  const dropped = [];
+  for (const recipe of recipes) {
+    const compliance = checkRecipe(recipe, rules);
+    if (compliance.compliant) kept.push({ ...recipe, compliance });
+    else dropped.push({ index: null, title: recipe.title, reason: "compliance", errors: compliance.violations.map(describeViolation), compliance });
+  }
+  return { kept, dropped };
+}
+
+// `priority` names ingredients the recipes should use up first (pantry items close to expiry).
+// Meal plans (lib/mealPlan.js) also pass the `meal` being planned, how many recipes they want (`count`)
+// and recipe titles to `exclude` because the plan already has them.
+export async function generateRecipes({ ingredients, diet = "none", calorieTarget = null, servings = 1, userProfile = {}, priority = [], meal = null, count = DEFAULT_COUNT, exclude = [] }) {
+  const rules = complianceRules({ diet, allergies: userProfile?.allergies });
+  const request = { ingredients, diet, calorieTarget, servings, userProfile, rules, priority, meal, count, exclude };
+  let result = await buildRecipes(request);
+  let screened = screenRecipes(result.recipes, rules);
+  let rejected = [];
+
+  // every recipe broke a restriction: ask once more, bypassing the cache and naming what was found
+  if (screened.kept.length === 0) {
+    const avoid = [...new Set(screened.dropped.flatMap(d => d.compliance.violations.map(v => v.ingredient)))];
+    log.warn("all recipes violated diet/allergy rules, regenerating", { avoid });
+    rejected = screened.dropped;
+    result = await buildRecipes({ ...request, avoid, skipCache: true });
+    screened = screenRecipes(result.recipes, rules);
+    if (screened.kept.length === 0) {
+      throw httpError(502, "No generated recipe met the diet and allergy restrictions", { dropped: [...rejected, ...screened.dropped] });
+    }
+  }
+
+  const targets = resolveTargets({ calorieTarget, userProfile });
+  return { ...result, recipes: fitRecipesToTargets(screened.kept, targets), dropped: [...rejected, ...result.dropped, ...screened.dropped] };
+}
+
+// Recipes stored under a cache key (the `cacheKey` of a generate-meals response), or null when expired.
+export async function cachedRecipes(cacheKey) {
+  const value = await peek(cacheKey);
+  return Array.isArray(value?.recipes) ? value.recipes : null;
+}
+
+// Cached recipes for a request. Validation drops are only reported by the call that generated them.
+async function buildRecipes({ skipCache = false, ...request }) {
+  const cacheKey = recipeCacheKey(request);
+  const { value, status } = await getOrCompute(cacheKey, { namespace: "recipe", ttl: RECIPE_CACHE_TTL, skipRead: skipCache }, () => freshRecipes(request));
+  return { recipes: value.recipes, cached: status !== "miss", cacheStatus: status, cacheKey, dropped: status === "miss" ? value.dropped : [] };
+}
+
+async function freshRecipes({ ingredients, diet, calorieTarget, servings, userProfile, rules, priority, meal, count, exclude, avoid = [] }) {
+  const limit = await getLimiter();
+
+  const configError = llmConfigError("meals");
+  if (configError) {
+    throw httpError(500, `${configError} (recipe model not configured)`, { code: "not_configured" });
+  }
+
+  // Build the prompt
+  const systemPrompt = `You are an expert chef and registered dietitian. Given pantry ingredients and user constraints, respond ONLY with valid JSON.
+Top-level: { "recipes": [ ... ] }
+Each recipe must include: title, description, ingredients (array of {name, quantity} where quantity is a string such as "200 g"), steps (array of strings), estimatedCalories (number, whole recipe), macros {protein, carbs, fat} (numbers in grams, whole recipe).
+Return up to ${count} recipes. No extra commentary.`;
+  let userPrompt = `Ingredients: ${ingredients.join(", ")}\nDiet: ${diet}\nCalorie target: ${calorieTarget || "none"}\nServings: ${servings}\nUserProfile: ${JSON.stringify(userProfile)}`;
+  if (meal) userPrompt += `\nMeal: ${meal}`;
+  if (exclude.length) userPrompt += `\nAlready planned, suggest different dishes from: ${exclude.join(", ")}`;
+  if (priority.length) userPrompt += `\nExpiring soon, build the recipes around these first: ${priority.join(", ")}`;
+  if (rulesActive(rules)) userPrompt += `\nStrict restrictions (never break these):\n${restrictionPrompt(rules)}`;
+  if (avoid.length) userPrompt += `\nPrevious suggestions were rejected for using: ${avoid.join(", ")}. Do not use them or anything similar.`;
+
+  const maxTokens = TOKENS_PER_RECIPE * Math.max(DEFAULT_COUNT, count);
+  const { recipes, dropped } = await requestValidRecipes([{ role: "system", content: systemPrompt }, { role: "user", content: userPrompt }], maxTokens);
+  const parsed = { recipes };
+
+  // With a Spoonacular key (or replayed Spoonacular fixtures), enrich nutrition
+  if (SPOONACULAR_KEY || replaying("spoonacular")) {
+    // helper to parse ingredients via Spoonacular
+    async function parseIngredientsWithSpoonacular(ingrList) {
+      try {
+        const form = new URLSearchParams();
+        form.append("ingredientList", ingrList);
+        const url = `https://api.spoonacular.com/recipes/parseIngredients?apiKey=${SPOONACULAR_KEY}`;
+        const r = await upstreamFetch("spoonacular", url, { method: "POST", headers: { "Content-Type": "application/x-www-form-urlencoded" }, body: form.toString() });
+        recordSpoonacular(r);
+        if (!r.ok) {
+          const txt = await r.text();
+          log.warn("spoonacular parseIngredients failed", { status: r.status, body: txt.slice(0, 200) });
+          return null;
+        }
+        return await r.json();
+      } catch (e) {
+        log.warn("spoonacular parseIngredients failed", { error: String(e) });
+        return null;
+      }
+    }
+
+    async function getIngredientInfo(id, amount, unit) {
+      const key = `inginfo:${id}:${amount}:${unit}`;
+      try {
+        const cached = await cacheGet(key);
+        if (cached) return cached;
+        const url = new URL(`https://api.spoonacular.com/food/ingredients/${id}/information`);
+        url.searchParams.set("apiKey", SPOONACULAR_KEY);
+        url.searchParams.set("amount", String(amount));
+        url.searchParams.set("unit", String(unit || "unit"));
+        const r = await upstreamFetch("spoonacular", url.toString());
+        recordSpoonacular(r);
+        if (!r.ok) {
+          const txt = await r.text();
+          const fail = { error: true, status: r.status, text: txt };
+          await cacheSet(key, fail, 60);
+          return fail;
+        }
+        const json = await r.json();
+        await cacheSet(key, json, CACHE_TTL_SECONDS);
+        return json;
+      } catch (e) {
+        const fail = { error: true, message: String(e) };
+        await cacheSet(key, fail, 60);
+        return fail;
+      }
+    }
+
+    const recipesWithNutrition = [];
+    for (const r of parsed.recipes) {
+      let nutrition = null;
+      try {
+        const ingrList = (r.ingredients || []).map(i => `${i.quantity || ""} ${i.name || ""}`.trim()).filter(Boolean).join("\n");
+        const parsedIngs = await parseIngredientsWithSpoonacular(ingrList);
+        if (Array.isArray(parsedIngs) && parsedIngs.length > 0) {
+          const tasks = parsedIngs.map(p => limit(async () => {
+            if (!p?.id || !p?.amount) return null;
+            const unit = p.unit || p.unitShort || p.unitString || "unit";
+            return await getIngredientInfo(p.id, p.amount, unit);
+          }));
+          const infos = await Promise.all(tasks);
+          const contributions = [];
+          infos.forEach((info, i) => {
+            if (!info || info.error) return;
+            const p = parsedIngs[i];
+            contributions.push({
+              name: p.original || p.name || info.name,
+              amount: Number(p.amount) || null,
+              unit: p.unit || p.unitShort || null,
+              nutrients: fromSpoonacular(info?.nutrition?.nutrients)
+            });
+          });
+          const built = buildNutrition({ ingredients: contributions, servings, source: "spoonacular" });
+          const anyTotal = (built.totals.calories || 0) + (built.totals.protein || 0) + (built.totals.carbs || 0) + (built.totals.fat || 0);
+          if (anyTotal > 0) nutrition = built;
+          r.spoonacular = parsedIngs;
+        }
+      } catch (e) {
+        log.warn("spoonacular nutrition failed", { error: String(e) });
+        captureException(e);
+      }
+
+      r.nutrition = nutrition || localNutrition(r, servings) || estimatedNutrition(r, servings);
+      r.source = r.source || (nutrition ? "openai+spoonacular" : "openai");
+      recipesWithNutrition.push(r);
+    }
+
+    return { recipes: recipesWithNutrition, dropped };
+  }
+
+  // No Spoonacular — bundled food table, or the model's own estimate
+  parsed.recipes.forEach(r => {
+    r.source = r.source || "openai";
+    r.nutrition = localNutrition(r, servings) || estimatedNutrition(r, servings);
+  });
+
+  return { recipes: parsed.recipes, dropped };
+}
@@ -0,0 +1,53 @@
+// lib/sentry.js
+// Optional Sentry reporting: imported lazily when SENTRY_DSN is set, silently a no-op otherwise.
+// Events are tagged with the current request's id, endpoint and key id (lib/log.js).
+
+import { log, requestContext } from "./log.js";
+
+let sentryInit = null;
+
+export async function getSentry() {
+  if (!process.env.SENTRY_DSN) return null;
+  if (!sentryInit) {
+    sentryInit = (async () => {
+      try {
+        const SentryMod = await import("@sentry/node");
+        const Sentry = SentryMod && (SentryMod.default || SentryMod);
+        if (Sentry && Sentry.init) Sentry.init({ dsn: process.env.SENTRY_DSN });
+        return Sentry;
+      } catch (e) {
+        log.warn("Sentry init failed", { error: String(e) });
+        return null;
+      }
+    })();
+  }
+  return sentryInit;
+}
+
+// Sentry scope for the current request: request id and endpoint as tags, the API key id as user.
+function withRequestScope(Sentry, extra, capture) {
+  const ctx = requestContext();
+  if (!ctx || typeof Sentry.withScope !== "function") return capture();
+  Sentry.withScope(scope => {
+    scope.setTag("requestId", ctx.requestId);
+    scope.setTag("endpoint", ctx.endpoint);
+    if (ctx.keyId) scope.setUser({ id: ctx.keyId });
+    scope.setContext("request", { method: ctx.method, cache: ctx.cache, upstream: ctx.upstream, ...extra });
+    capture();
+  });
+}
+
+// `extra` is added to the "request" context shown with the event.
+export async function captureException(err, extra = {}) {
+  try {
+    const Sentry = await getSentry();
+    if (Sentry && typeof Sentry.captureException === "function") withRequestScope(Sentry, extra, () => Sentry.captureException(err));
+  } catch {}
+}
+
+export async function captureMessage(message, extra = {}) {
+  try {
+    const Sentry = await getSentry();
+    if (Sentry && typeof Sentry.captureMessage === "function") withRequestScope(Sentry, extra, () => Sentry.captureMessage(message));
+  } catch {}
+}
@@ -0,0 +1,195 @@
+// lib/shoppingList.js
+// Consolidated shopping list from recipes. Ingredient lines are parsed (lib/ingredientParser.js) and merged per
+// food: names are matched against the bundled food table (lib/localNutrition.js), so "spinach" and "fresh spinach"
+// are one item. Amounts are summed per kind of unit (mass in g, volume in ml, counts per unit); when one item mixes
+// kinds and its food is known, everything is converted to grams. Pantry items are subtracted, and the rest is
+// grouped by store aisle (lib/data/aisles.json, in store-walk order).
+//
+// List shape: { aisles: [{ aisle, items: [item] }], alreadyHave: [item], itemCount, recipeCount }
+// item = { name, aisle, amounts: [{ quantity, unit }], recipes: [title], inPantry? } - amounts is empty for
+// "to taste" style lines without a quantity.
+
+import { readFileSync } from "fs";
+import path from "path";
+import { parseIngredient, MASS_UNITS } from "./ingredientParser.js";
+import { matchFood, nameTokens, toGrams, VOLUME_ML } from "./localNutrition.js";
+
+const AISLES = JSON.parse(readFileSync(path.join(process.cwd(), "lib/data/aisles.json"), "utf8"))
+  .map(({ aisle, terms }) => ({ aisle, terms: terms.map(nameTokens) }));
+const OTHER_AISLE = "Other";
+
+// a more specific (longer) term wins: "coconut milk" is canned, "milk" is dairy
+export function aisleFor(name) {
+  const words = nameTokens(name);
+  let best = { aisle: OTHER_AISLE, length: 0 };
+  for (const { aisle, terms } of AISLES) {
+    for (const term of terms) {
+      if (term.length <= best.length) continue;
+      const at = words.findIndex((_, i) => term.every((t, j) => words[i + j] === t));
+      if (at >= 0) best = { aisle, length: term.length };
+    }
+  }
+  return best.aisle;
+}
+
+// Items merge on the matched food (its name before the first comma, so "pasta, cooked" and "pasta, dry" are
+// both pasta) or, for foods outside the table, on the name without preparation words.
+function identify(name) {
+  const match = matchFood(name);
+  const text = String(name).trim().toLowerCase();
+  return { key: match ? match.food.name.split(",")[0].trim() : nameTokens(name).join(" ") || text, food: match?.food || null };
+}
+
+// which amount a parsed line adds to: { unit: "g" | "ml" | count unit, amount }, or null without a quantity
+function measure(parsed) {
+  if (parsed.quantity === null) return null;
+  if (MASS_UNITS[parsed.unit]) return { unit: "g", amount: parsed.quantity * MASS_UNITS[parsed.unit], original: parsed.unit };
+  if (VOLUME_ML[parsed.unit]) return { unit: "ml", amount: parsed.quantity * VOLUME_ML[parsed.unit], original: parsed.unit };
+  return { unit: parsed.unit || "piece", amount: parsed.quantity, original: parsed.unit || "piece" };
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// back to the unit the recipes used when they all agree, else g/kg and ml/l
+function display({ unit, amount, originals }) {
+  if (originals.size === 1) {
+    const [original] = originals;
+    if (unit === "g" && MASS_UNITS[original]) return { quantity: round(amount / MASS_UNITS[original]), unit: original };
+    if (unit === "ml" && VOLUME_ML[original]) return { quantity: round(amount / VOLUME_ML[original]), unit: original };
+  }
+  if (unit === "g" && amount >= 1000) return { quantity: round(amount / 1000), unit: "kg" };
+  if (unit === "ml" && amount >= 1000) return { quantity: round(amount / 1000), unit: "l" };
+  return { quantity: round(amount), unit };
+}
+
+function addMeasure(totals, m) {
+  const bucket = totals.get(m.unit) || { unit: m.unit, amount: 0, originals: new Set() };
+  bucket.amount += m.amount;
+  bucket.originals.add(m.original);
+  totals.set(m.unit, bucket);
+}
+
+// grams for every quantified line of an item, or null when one can't be converted
+function totalGrams(entry) {
+  if (!entry.food) return null;
+  let sum = 0;
+  for (const parsed of entry.lines) {
+    if (parsed.quantity === null && !parsed.grams) continue;
+    const grams = toGrams(parsed, entry.food);
+    if (grams === null) return null;
+    sum += grams;
+  }
+  return sum;
+}
+
+function buckets(entry) {
+  const totals = new Map();
+  for (const parsed of entry.lines) {
+    const m = measure(parsed);
+    if (m) addMeasure(totals, m);
+  }
+  if (totals.size > 1) {
+    const grams = totalGrams(entry);
+    if (grams !== null) return new Map([["g", { unit: "g", amount: grams, originals: new Set(["g"]) }]]);
+  }
+  return totals;
+}
+
+// Takes what a pantry item covers off an entry's totals. Returns false when the units can't be compared.
+function subtractPantry(entry, item) {
+  if (item.quantity === null || item.quantity === undefined) {
+    entry.totals.clear();
+    return true;
+  }
+  const parsed = parseIngredient(`${item.quantity} ${item.unit || ""} ${item.name}`);
+  const m = measure(parsed);
+  const bucket = m && entry.totals.get(m.unit);
+  if (bucket) {
+    bucket.amount -= m.amount;
+    if (bucket.amount <= 1e-9) entry.totals.delete(m.unit);
+    return true;
+  }
+  const needed = totalGrams(entry);
+  const have = entry.food ? toGrams(parsed, entry.food) : null;
+  if (needed === null || have === null) return false;
+  entry.totals = needed - have > 0 ? new Map([["g", { unit: "g", amount: needed - have, originals: new Set(["g"]) }]]) : new Map();
+  return true;
+}
+
+// recipes: [{ title, ingredients: [{ name, quantity }] }], a recipe listed twice is bought twice.
+// pantryItems: lib/pantry.js items to subtract.
+export function buildShoppingList(recipes, pantryItems = []) {
+  const entries = new Map();
+  for (const recipe of recipes) {
+    for (const ing of recipe.ingredients || []) {
+      if (!ing?.name) continue;
+      const parsed = parseIngredient(`${ing.quantity ?? ""} ${ing.name}`.trim());
+      // the name on its own, so quantity words ("to taste") don't end up in it
+      const name = parseIngredient(ing.name).name || parsed.name;
+      const { key, food } = identify(name);
+      const entry = entries.get(key) || { key, food, name, lines: [], recipes: new Set() };
+      // the shortest wording reads best ("spinach" over "baby spinach leaves")
+      if (name.length < entry.name.length) entry.name = name;
+      entry.lines.push(parsed);
+      if (recipe.title) entry.recipes.add(recipe.title);
+      entries.set(key, entry);
+    }
+  }
+  for (const entry of entries.values()) entry.totals = buckets(entry);
+
+  const alreadyHave = [];
+  const toBuy = [];
+  for (const entry of entries.values()) {
+    const owned = pantryItems.filter(item => identify(item.name).key === entry.key);
+    const before = [...entry.totals.values()].map(display);
+    const uncompared = owned.filter(item => !subtractPantry(entry, item));
+    const item = {
+      name: entry.name,
+      aisle: aisleFor(`${entry.name} ${entry.food?.name || ""}`),
+      amounts: [...entry.totals.values()].map(display),
+      recipes: [...entry.recipes]
+    };
+    if (uncompared.length) item.inPantry = uncompared.map(({ name, quantity, unit }) => ({ name, quantity, unit }));
+    if (owned.length && !item.amounts.length && !uncompared.length) alreadyHave.push({ ...item, amounts: before });
+    else toBuy.push(item);
+  }
+
+  const order = [...AISLES.map(a => a.aisle), OTHER_AISLE];
+  const aisles = order
+    .map(aisle => ({ aisle, items: toBuy.filter(i => i.aisle === aisle).sort((a, b) => a.name.localeCompare(b.name)) }))
+    .filter(group => group.items.length);
+  return { aisles, alreadyHave, itemCount: toBuy.length, recipeCount: recipes.length };
+}
+
+function amountText(amounts) {
+  return amounts.length ? amounts.map(a => `${a.quantity} ${a.unit}`).join(" + ") : "as needed";
+}
+
+export function shoppingListText(list) {
+  const lines = [`Shopping list: ${list.itemCount} items for ${list.recipeCount} recipes`];
+  for (const { aisle, items } of list.aisles) {
+    lines.push("", aisle);
+    for (const item of items) lines.push(`- ${item.name}: ${amountText(item.amounts)}`);
+  }
+  if (list.alreadyHave.length) lines.push("", `Already in your pantry: ${list.alreadyHave.map(i => i.name).join(", ")}`);
+  return lines.join("\n") + "\n";
+}
+
+function csvField(value) {
+  const text = String(value ?? "");
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// one row per amount, so quantity and unit stay separate columns
+export function shoppingListCsv(list) {
+  const rows = [["aisle", "item", "quantity", "unit", "recipes"]];
+  for (const { aisle, items } of list.aisles) {
+    for (const item of items) {
+      const amounts = item.amounts.length ? item.amounts : [{ quantity: "", unit: "" }];
+      for (const a of amounts) rows.push([aisle, item.name, a.quantity, a.unit, item.recipes.join("; ")]);
+    }
+  }
+  return rows.map(row => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,43 @@
+// lib/sse.js
+// Small Server-Sent Events helpers: writing events to the client and reading an upstream SSE body.
+
+export function wantsEventStream(req) {
+  const accept = String(req.headers?.accept || req.headers?.Accept || "");
+  return accept.includes("text/event-stream") || req.body?.stream === true;
+}
+
+export function startEventStream(res) {
+  res.statusCode = 200;
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  if (typeof res.flushHeaders === "function") res.flushHeaders();
+}
+
+export function sendEvent(res, event, data) {
+  if (res.writableEnded) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Yields the `data:` payload of each event in a fetch() response body (e.g. OpenAI stream: true).
+export async function* readEventStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let data = [];
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let nl;
+    while ((nl = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, nl).replace(/\r$/, "");
+      buffer = buffer.slice(nl + 1);
+      if (line === "") {
+        if (data.length) yield data.join("\n");
+        data = [];
+      } else if (line.startsWith("data:")) {
+        data.push(line.slice(5).replace(/^ /, ""));
+      }
+    }
+  }
+  if (data.length) yield data.join("\n");
+}
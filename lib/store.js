@@ -0,0 +1,321 @@
+// lib/store.js
+// Shared storage: Upstash Redis when UPSTASH_REDIS_REST_URL/TOKEN are set, in-memory (ephemeral) otherwise.
+// The Redis client is imported lazily so a missing package or bad config never crashes a function at startup.
+//  - cacheGet/cacheSet: memory in front of Redis, for results that don't change once computed
+//  - kvGet/kvSet/kvSetNX/kvDel/kvIncr: straight to Redis when present, for shared mutable state
+//  - kvHashIncr/kvHashGetAll: hashes of integer counters (usage metering)
+//  - kvSetAdd/kvSetMembers: sets of strings (indexes that concurrent writers add to)
+//  - kvHashSet/kvHashGet/kvHashDel/kvHashValues: hashes of JSON values (records edited one field at a time)
+//  - deletePrefix: removes every key starting with a prefix (admin cache purges)
+
+import { log } from "./log.js";
+
+const UPSTASH_URL = process.env.UPSTASH_REDIS_REST_URL || "";
+const UPSTASH_TOKEN = process.env.UPSTASH_REDIS_REST_TOKEN || "";
+export const CACHE_TTL_SECONDS = Number(process.env.CACHE_TTL_SECONDS || 86400);
+
+// simple in-memory cache (ephemeral)
+const inMemoryCache = new Map();
+function memGet(key) {
+  const v = inMemoryCache.get(key);
+  if (!v) return null;
+  if (Date.now() > v.expiresAt) {
+    inMemoryCache.delete(key);
+    return null;
+  }
+  return v.value;
+}
+// ttl of 0 keeps the entry for the life of the instance
+function memSet(key, value, ttl = CACHE_TTL_SECONDS) {
+  inMemoryCache.set(key, { value, expiresAt: ttl ? Date.now() + ttl * 1000 : Infinity });
+}
+
+let redisInit = null;
+export function redisConfigured() {
+  return !!(UPSTASH_URL && UPSTASH_TOKEN);
+}
+export async function getRedis() {
+  if (!redisConfigured()) return null;
+  if (!redisInit) {
+    redisInit = (async () => {
+      try {
+        const upstash = await import("@upstash/redis");
+        const Redis = upstash && (upstash.Redis || upstash.default?.Redis || upstash.default);
+        return Redis ? new Redis({ url: UPSTASH_URL, token: UPSTASH_TOKEN }) : null;
+      } catch (e) {
+        // leave redis null (in-memory fallback will be used)
+        log.warn("Upstash init failed", { error: String(e) });
+        return null;
+      }
+    })();
+  }
+  return redisInit;
+}
+
+// the Upstash client deserializes JSON on read by default; values written elsewhere may still be strings
+function decode(v) {
+  if (v === null || v === undefined) return null;
+  if (typeof v !== "string") return v;
+  try { return JSON.parse(v); } catch { return v; }
+}
+
+async function upstashGet(redis, key) {
+  try {
+    return decode(await redis.get(key));
+  } catch (e) {
+    log.warn("upstash get failed", { key, error: String(e) });
+    return null;
+  }
+}
+async function upstashSet(redis, key, value, ttl) {
+  try {
+    if (ttl) await redis.set(key, JSON.stringify(value), { ex: ttl });
+    else await redis.set(key, JSON.stringify(value));
+    return true;
+  } catch (e) {
+    log.warn("upstash set failed", { key, error: String(e) });
+    return null;
+  }
+}
+
+export async function cacheGet(key) {
+  const m = memGet(key);
+  if (m) return m;
+  const redis = await getRedis();
+  if (redis) {
+    const v = await upstashGet(redis, key);
+    if (v) {
+      memSet(key, v);
+      return v;
+    }
+  }
+  return null;
+}
+export async function cacheSet(key, value, ttl = CACHE_TTL_SECONDS) {
+  memSet(key, value, ttl);
+  const redis = await getRedis();
+  if (redis) await upstashSet(redis, key, value, ttl);
+}
+
+export async function kvGet(key) {
+  const redis = await getRedis();
+  return redis ? upstashGet(redis, key) : memGet(key);
+}
+export async function kvSet(key, value, ttl = CACHE_TTL_SECONDS) {
+  const redis = await getRedis();
+  if (redis) return upstashSet(redis, key, value, ttl);
+  memSet(key, value, ttl);
+  return true;
+}
+// Sets the key only if it doesn't exist yet. Returns true when it was set, false when it already existed,
+// null if Redis failed.
+export async function kvSetNX(key, value, ttl = CACHE_TTL_SECONDS) {
+  const redis = await getRedis();
+  if (redis) {
+    try {
+      const options = ttl ? { nx: true, ex: ttl } : { nx: true };
+      return (await redis.set(key, JSON.stringify(value), options)) === "OK";
+    } catch (e) {
+      log.warn("upstash set nx failed", { key, error: String(e) });
+      return null;
+    }
+  }
+  if (memGet(key) !== null) return false;
+  memSet(key, value, ttl);
+  return true;
+}
+export async function kvDel(key) {
+  inMemoryCache.delete(key);
+  const redis = await getRedis();
+  if (!redis) return;
+  try {
+    await redis.del(key);
+  } catch (e) {
+    log.warn("upstash del failed", { key, error: String(e) });
+  }
+}
+
+// Increments a counter, setting its TTL on first use. Returns the new value, or null if Redis failed.
+export async function kvIncr(key, ttl) {
+  const redis = await getRedis();
+  if (redis) {
+    try {
+      const count = await redis.incr(key);
+      if (count === 1 && ttl) await redis.expire(key, ttl);
+      return count;
+    } catch (e) {
+      log.warn("upstash incr failed", { key, error: String(e) });
+      return null;
+    }
+  }
+  const entry = inMemoryCache.get(key);
+  const alive = entry && Date.now() <= entry.expiresAt;
+  const next = (alive ? entry.value : 0) + 1;
+  inMemoryCache.set(key, { value: next, expiresAt: alive ? entry.expiresAt : Date.now() + (ttl || CACHE_TTL_SECONDS) * 1000 });
+  return next;
+}
+
+// Adds to several integer counters of one hash ({ field: amount }) and (re)sets the hash's TTL.
+// Returns true, or null if Redis failed.
+export async function kvHashIncr(key, fields, ttl) {
+  const redis = await getRedis();
+  if (redis) {
+    try {
+      const pipeline = redis.pipeline();
+      for (const [field, amount] of Object.entries(fields)) pipeline.hincrby(key, field, amount);
+      if (ttl) pipeline.expire(key, ttl);
+      await pipeline.exec();
+      return true;
+    } catch (e) {
+      log.warn("upstash hincrby failed", { key, error: String(e) });
+      return null;
+    }
+  }
+  const counters = memGet(key) || {};
+  for (const [field, amount] of Object.entries(fields)) counters[field] = (counters[field] || 0) + amount;
+  memSet(key, counters, ttl || CACHE_TTL_SECONDS);
+  return true;
+}
+
+// All counters of a hash as { field: number } ({} when missing or when Redis failed).
+export async function kvHashGetAll(key) {
+  const redis = await getRedis();
+  let hash = null;
+  if (redis) {
+    try {
+      hash = await redis.hgetall(key);
+    } catch (e) {
+      log.warn("upstash hgetall failed", { key, error: String(e) });
+    }
+  } else {
+    hash = memGet(key);
+  }
+  return Object.fromEntries(Object.entries(hash || {}).map(([field, value]) => [field, Number(value) || 0]));
+}
+
+// Adds members to a set without expiry. Returns true, or null if Redis failed.
+export async function kvSetAdd(key, ...members) {
+  const redis = await getRedis();
+  if (redis) {
+    try {
+      await redis.sadd(key, ...members);
+      return true;
+    } catch (e) {
+      log.warn("upstash sadd failed", { key, error: String(e) });
+      return null;
+    }
+  }
+  const set = memGet(key) || new Set();
+  for (const member of members) set.add(member);
+  memSet(key, set, 0);
+  return true;
+}
+
+// Members of a set as strings ([] when missing or when Redis failed).
+export async function kvSetMembers(key) {
+  const redis = await getRedis();
+  if (redis) {
+    try {
+      return (await redis.smembers(key)).map(String);
+    } catch (e) {
+      log.warn("upstash smembers failed", { key, error: String(e) });
+      return [];
+    }
+  }
+  return [...(memGet(key) || [])];
+}
+
+// Writes one JSON field of a hash in a transaction that also (re)sets the hash's TTL (none when 0) and
+// counts its fields. Returns the number of fields after the write, or null if Redis failed.
+export async function kvHashSet(key, field, value, ttl = 0) {
+  const redis = await getRedis();
+  if (redis) {
+    try {
+      const tx = redis.multi();
+      tx.hset(key, { [field]: JSON.stringify(value) });
+      if (ttl) tx.expire(key, ttl);
+      tx.hlen(key);
+      const replies = await tx.exec();
+      return Number(replies[replies.length - 1]);
+    } catch (e) {
+      log.warn("upstash hset failed", { key, error: String(e) });
+      return null;
+    }
+  }
+  const hash = memGet(key) || {};
+  hash[field] = value;
+  memSet(key, hash, ttl);
+  return Object.keys(hash).length;
+}
+
+// One field of a hash of JSON values, or null.
+export async function kvHashGet(key, field) {
+  const redis = await getRedis();
+  if (redis) {
+    try {
+      return decode(await redis.hget(key, field));
+    } catch (e) {
+      log.warn("upstash hget failed", { key, error: String(e) });
+      return null;
+    }
+  }
+  return memGet(key)?.[field] ?? null;
+}
+
+// Removes one field of a hash. Returns true when it existed, false when not, null if Redis failed.
+export async function kvHashDel(key, field) {
+  const redis = await getRedis();
+  if (redis) {
+    try {
+      return (await redis.hdel(key, field)) > 0;
+    } catch (e) {
+      log.warn("upstash hdel failed", { key, error: String(e) });
+      return null;
+    }
+  }
+  const hash = memGet(key);
+  if (!hash || !(field in hash)) return false;
+  delete hash[field];
+  return true;
+}
+
+// Every value of a hash of JSON values ([] when missing or when Redis failed).
+export async function kvHashValues(key) {
+  const redis = await getRedis();
+  if (redis) {
+    try {
+      return Object.values((await redis.hgetall(key)) || {}).map(decode);
+    } catch (e) {
+      log.warn("upstash hgetall failed", { key, error: String(e) });
+      return [];
+    }
+  }
+  return Object.values(memGet(key) || {});
+}
+
+// Deletes every key starting with `prefix` from memory and Redis (SCAN, so it never blocks Redis).
+// Other instances' in-memory copies live on until their own TTL. Returns the number of Redis keys
+// deleted (memory keys without Redis).
+export async function deletePrefix(prefix) {
+  let memoryDeleted = 0;
+  for (const key of [...inMemoryCache.keys()]) {
+    if (key.startsWith(prefix)) {
+      inMemoryCache.delete(key);
+      memoryDeleted++;
+    }
+  }
+  const redis = await getRedis();
+  if (!redis) return memoryDeleted;
+  let deleted = 0;
+  let cursor = "0";
+  try {
+    do {
+      const [next, keys] = await redis.scan(cursor, { match: `${prefix}*`, count: 500 });
+      if (keys.length) deleted += await redis.del(...keys);
+      cursor = String(next);
+    } while (cursor !== "0");
+  } catch (e) {
+    log.warn("upstash purge failed", { key: prefix, error: String(e) });
+  }
+  return deleted;
+}
@@ -0,0 +1,116 @@
+// lib/targetFit.js
+// Checks recipes against the caller's per-serving targets (calorieTarget plus optional
+// userProfile.macroTargets { protein, carbs, fat } in grams) and scales portions to fit.
+// Scaling multiplies every ingredient quantity by one factor, so nutrition scales linearly with it.
+
+const TOLERANCE = Number(process.env.TARGET_TOLERANCE || 0.15);
+const SCALE_MIN = Number(process.env.TARGET_SCALE_MIN || 0.5);
+const SCALE_MAX = Number(process.env.TARGET_SCALE_MAX || 2);
+const FIELDS = ["calories", "protein", "carbs", "fat"];
+
+export function resolveTargets({ calorieTarget = null, userProfile = {} } = {}) {
+  const macros = userProfile?.macroTargets || {};
+  const targets = {};
+  if (Number(calorieTarget) > 0) targets.calories = Number(calorieTarget);
+  for (const field of ["protein", "carbs", "fat"]) {
+    if (Number(macros[field]) > 0) targets[field] = Number(macros[field]);
+  }
+  return Object.keys(targets).length ? targets : null;
+}
+
+// relative deviation per targeted field, e.g. { calories: 0.12, protein: -0.3 }
+export function deviations(perServing, targets) {
+  const out = {};
+  for (const field of FIELDS) {
+    if (!targets[field]) continue;
+    out[field] = Math.round(((Number(perServing?.[field]) || 0) - targets[field]) / targets[field] * 100) / 100 || 0;
+  }
+  return out;
+}
+
+function withinTolerance(deviation, tolerance) {
+  return Object.values(deviation).every(d => Math.abs(d) <= tolerance);
+}
+
+// One factor can't fix macro ratios, so calories win when targeted; with macro targets only, the
+// least-squares factor over their relative deviations. Clamped to [SCALE_MIN, SCALE_MAX].
+function bestScale(perServing, targets) {
+  let factor = 1;
+  if (targets.calories) {
+    const calories = Number(perServing?.calories) || 0;
+    if (calories > 0) factor = targets.calories / calories;
+  } else {
+    let sum = 0;
+    let sumSquares = 0;
+    for (const field of FIELDS) {
+      if (!targets[field]) continue;
+      const ratio = (Number(perServing?.[field]) || 0) / targets[field];
+      sum += ratio;
+      sumSquares += ratio * ratio;
+    }
+    if (sumSquares) factor = sum / sumSquares;
+  }
+  return Math.min(SCALE_MAX, Math.max(SCALE_MIN, factor));
+}
+
+function formatAmount(n) {
+  if (n >= 10) return String(Math.round(n));
+  const quarter = Math.round(n * 4) / 4;
+  return String(quarter > 0 ? quarter : Math.round(n * 100) / 100);
+}
+
+// "1 1/2 cups (200g) cooked" * 1.5 -> "2.25 cups (300g) cooked"; text without numbers ("to taste") is kept
+export function scaleQuantity(quantity, factor) {
+  const text = String(quantity ?? "");
+  return text.replace(/(\d+)\s+(\d+)\/(\d+)|(\d+)\/(\d+)|\d+(?:\.\d+)?/g, (match, whole, num, den, fNum, fDen) => {
+    let value;
+    if (whole !== undefined) value = Number(whole) + Number(num) / Number(den);
+    else if (fNum !== undefined) value = Number(fNum) / Number(fDen);
+    else value = Number(match);
+    return formatAmount(value * factor);
+  });
+}
+
+// numbers that describe the data rather than an amount
+const UNSCALED_KEYS = new Set(["matchConfidence"]);
+
+function scaleNumbers(value, factor) {
+  if (typeof value === "number") return Math.round(value * factor * 10) / 10;
+  if (Array.isArray(value)) return value.map(v => scaleNumbers(v, factor));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, UNSCALED_KEYS.has(k) ? v : scaleNumbers(v, factor)]));
+  }
+  return value;
+}
+
+// Returns a scaled copy; the input (possibly a cached object) is left untouched.
+export function scaleRecipe(recipe, factor) {
+  return {
+    ...recipe,
+    ingredients: (recipe.ingredients || []).map(i => ({ ...i, quantity: scaleQuantity(i.quantity, factor) })),
+    estimatedCalories: scaleNumbers(recipe.estimatedCalories, factor),
+    macros: scaleNumbers(recipe.macros, factor),
+    // every number in the nutrition object (amounts, contributions, %DV) is linear in the portion size
+    nutrition: scaleNumbers(recipe.nutrition, factor)
+  };
+}
+
+// Adds targetFit { targets, tolerance, scale, deviation, withinTolerance } to each recipe,
+// scaling portions when that brings a recipe closer to the targets. targetFit is null without targets.
+export function fitRecipesToTargets(recipes, targets, tolerance = TOLERANCE) {
+  return recipes.map(recipe => {
+    if (!targets) return { ...recipe, targetFit: null };
+    const before = deviations(recipe.nutrition?.perServing, targets);
+    let fitted = recipe;
+    let scale = 1;
+    if (!withinTolerance(before, tolerance)) {
+      const factor = Math.round(bestScale(recipe.nutrition?.perServing, targets) * 100) / 100;
+      if (factor !== 1) {
+        fitted = scaleRecipe(recipe, factor);
+        scale = factor;
+      }
+    }
+    const deviation = deviations(fitted.nutrition?.perServing, targets);
+    return { ...fitted, targetFit: { targets, tolerance, scale, deviation, withinTolerance: withinTolerance(deviation, tolerance) } };
+  });
+}
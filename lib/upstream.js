@@ -0,0 +1,141 @@
+// lib/upstream.js
+// Every call to an upstream API goes through upstreamFetch(upstream, url, init), which can record and replay fixtures
+// so the real pipeline (caching, parsing, nutrition enrichment) runs offline against realistic data:
+//   UPSTREAM_MODE (live | record | replay, default live) for all upstreams, UPSTREAM_MODE_<NAME> for one,
+//   e.g. UPSTREAM_MODE_OPENAI=replay UPSTREAM_MODE_SPOONACULAR=record
+//   FIXTURES_DIR (default ./fixtures): one file per request, {dir}/{upstream}/{hash}.json
+// Upstream names: openai, anthropic, local (LLM providers), spoonacular, openfoodfacts, google-vision.
+// A fixture is keyed on method, URL and body with secrets removed, so the same request always replays the same
+// response; replaying a request that was never recorded fails like a network error, naming the missing file.
+// Recorded fixtures never contain credentials: key query parameters are dropped, request headers are not stored
+// and the values of the provider key variables are blanked wherever they appear. Record mode buffers streamed
+// responses before handing them on; replay streams them back in one piece.
+// Every call, in any mode, is timed into the request's log summary (lib/log.js).
+
+import crypto from "crypto";
+import { mkdirSync, readFileSync, writeFileSync, existsSync } from "fs";
+import path from "path";
+import { stableStringify } from "./utils.js";
+import { SECRET_PARAMS, noteUpstream } from "./log.js";
+
+const MODES = ["live", "record", "replay"];
+const SECRET_ENVS = ["OPENAI_API_KEY", "ANTHROPIC_API_KEY", "LOCAL_LLM_API_KEY", "SPOONACULAR_KEY", "GOOGLE_VISION_API_KEY"];
+const REDACTED = "[REDACTED]";
+// describe the bytes on the wire, not the decoded body that is stored
+const DROPPED_HEADERS = ["set-cookie", "content-encoding", "content-length", "transfer-encoding"];
+const NO_BODY_STATUSES = [204, 205, 304];
+// long strings (base64 images) are stored as a digest to keep fixtures readable
+const MAX_STORED_STRING = 2000;
+
+function envName(upstream) {
+  return `UPSTREAM_MODE_${upstream.toUpperCase().replace(/[^A-Z0-9]/g, "_")}`;
+}
+
+export function upstreamMode(upstream) {
+  const mode = (process.env[envName(upstream)] || process.env.UPSTREAM_MODE || "live").toLowerCase();
+  if (!MODES.includes(mode)) throw new Error(`${envName(upstream)} must be one of ${MODES.join(", ")}`);
+  return mode;
+}
+
+// replayed upstreams need no credentials, so callers treat them as configured
+export function replaying(upstream) {
+  return upstreamMode(upstream) === "replay";
+}
+
+function fixturesDir() {
+  return path.resolve(process.env.FIXTURES_DIR || "fixtures");
+}
+
+function redactUrl(url) {
+  const parsed = new URL(url);
+  for (const name of [...parsed.searchParams.keys()]) {
+    if (SECRET_PARAMS.includes(name.toLowerCase())) parsed.searchParams.delete(name);
+  }
+  parsed.searchParams.sort();
+  return parsed.toString();
+}
+
+function redactSecrets(text) {
+  let out = text;
+  for (const name of SECRET_ENVS) {
+    const secret = process.env[name];
+    if (secret && secret.length >= 8) out = out.split(secret).join(REDACTED);
+  }
+  return out;
+}
+
+function requestBody(init) {
+  const body = init?.body;
+  if (body === undefined || body === null) return null;
+  const text = String(body);
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+function shorten(value) {
+  if (typeof value === "string" && value.length > MAX_STORED_STRING) {
+    return `<${value.length} chars, sha256 ${crypto.createHash("sha256").update(value).digest("hex").slice(0, 16)}>`;
+  }
+  if (Array.isArray(value)) return value.map(shorten);
+  if (value && typeof value === "object") return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, shorten(v)]));
+  return value;
+}
+
+// the request as it is matched and stored: no secrets, long strings shortened (their digest still tells them apart)
+function describeRequest(url, init) {
+  return { method: (init?.method || "GET").toUpperCase(), url: redactSecrets(redactUrl(url)), body: shorten(requestBody(init)) };
+}
+
+function fixturePath(upstream, request) {
+  const hash = crypto.createHash("sha256").update(stableStringify(request)).digest("hex").slice(0, 24);
+  return path.join(fixturesDir(), upstream, `${hash}.json`);
+}
+
+function replay(upstream, url, init) {
+  const request = describeRequest(url, init);
+  const file = fixturePath(upstream, request);
+  if (!existsSync(file)) {
+    throw new Error(`No ${upstream} fixture for ${request.method} ${request.url} (${file}); record it with ${envName(upstream)}=record`);
+  }
+  const { response } = JSON.parse(readFileSync(file, "utf8"));
+  const body = typeof response.body === "string" ? response.body : JSON.stringify(response.body);
+  return new Response(NO_BODY_STATUSES.includes(response.status) ? null : body, { status: response.status, headers: response.headers });
+}
+
+async function record(upstream, url, init) {
+  const resp = await fetch(url, init);
+  const text = await resp.text();
+  const headers = Object.fromEntries([...resp.headers.entries()].filter(([name]) => !DROPPED_HEADERS.includes(name)));
+  let body = text;
+  if (/json/.test(headers["content-type"] || "")) {
+    try { body = JSON.parse(text); } catch {}
+  }
+  const request = describeRequest(url, init);
+  const file = fixturePath(upstream, request);
+  const fixture = { upstream, recordedAt: new Date().toISOString(), request, response: { status: resp.status, headers, body } };
+  mkdirSync(path.dirname(file), { recursive: true });
+  writeFileSync(file, redactSecrets(JSON.stringify(fixture, null, 2)) + "\n");
+  return new Response(NO_BODY_STATUSES.includes(resp.status) ? null : text, { status: resp.status, headers });
+}
+
+// fetch() for upstream APIs; `upstream` selects the mode and the fixture folder.
+export async function upstreamFetch(upstream, url, init = {}) {
+  const mode = upstreamMode(upstream);
+  const method = (init.method || "GET").toUpperCase();
+  const started = Date.now();
+  try {
+    let resp;
+    if (mode === "replay") resp = replay(upstream, String(url), init);
+    else if (mode === "record") resp = await record(upstream, String(url), init);
+    else resp = await fetch(url, init);
+    // streamed bodies are still arriving: this is the time to the response headers
+    noteUpstream({ upstream, method, url, status: resp.status, ms: Date.now() - started, mode });
+    return resp;
+  } catch (err) {
+    noteUpstream({ upstream, method, url, status: null, ms: Date.now() - started, mode, error: String(err.message || err) });
+    throw err;
+  }
+}
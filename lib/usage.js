@@ -0,0 +1,230 @@
+// lib/usage.js
+// Metering of every paid upstream call per API key and endpoint: LLM tokens (recorded by lib/llm.js), Spoonacular
+// points (the X-API-Quota-Request response header) and Google Vision requests, priced from lib/data/prices.json
+// (LLM prices in USD per million tokens; USAGE_PRICES_JSON overrides entries). Counters are Redis hashes with one
+// rollup per UTC day and one per month, fields "{endpoint}:{metric}":
+//   usage:{keyId}:day:{YYYY-MM-DD} (kept USAGE_DAY_RETENTION_DAYS) and usage:{keyId}:month:{YYYY-MM} (kept ~13 months)
+// Key and endpoint come from the scope withApi() opens for metered endpoints, so lib code records usage without
+// the request being passed down. Calls made outside a scope are not metered.
+//
+// Budgets: key records may carry budget = { dailyUsd, monthlyUsd, dailyTokens, monthlyTokens, dailySpoonacularPoints,
+// monthlySpoonacularPoints }; USAGE_DEFAULT_BUDGET_JSON applies to keys without one. A spent USD budget answers 402,
+// a spent token or point budget 429 until the period resets. Budgets are checked when a request starts, so the
+// request that crosses a limit still completes.
+
+import { AsyncLocalStorage } from "async_hooks";
+import { readFileSync } from "fs";
+import path from "path";
+import { kvHashIncr, kvHashGetAll } from "./store.js";
+import { log } from "./log.js";
+
+const DAY_TTL = Number(process.env.USAGE_DAY_RETENTION_DAYS || 35) * 86400;
+const MONTH_TTL = 400 * 86400;
+const MAX_REPORT_DAYS = 31;
+const MAX_REPORT_MONTHS = 12;
+export const METRICS = ["llmCalls", "inputTokens", "outputTokens", "spoonacularPoints", "visionCalls", "costUsd"];
+// Redis hashes only count integers: cost is stored in millionths of a dollar, points in hundredths
+const SCALE = { costUsd: 1e6, spoonacularPoints: 100 };
+// budget field -> period, metric and the status returned once it's spent
+const BUDGET_LIMITS = {
+  dailyUsd: { period: "day", metric: "costUsd", status: 402 },
+  monthlyUsd: { period: "month", metric: "costUsd", status: 402 },
+  dailyTokens: { period: "day", metric: "totalTokens", status: 429 },
+  monthlyTokens: { period: "month", metric: "totalTokens", status: 429 },
+  dailySpoonacularPoints: { period: "day", metric: "spoonacularPoints", status: 429 },
+  monthlySpoonacularPoints: { period: "month", metric: "spoonacularPoints", status: 429 }
+};
+export const BUDGET_FIELDS = Object.keys(BUDGET_LIMITS);
+
+const PRICES = loadPrices();
+const DEFAULT_BUDGET = loadDefaultBudget();
+const scope = new AsyncLocalStorage();
+const unpriced = new Set();
+
+function loadPrices() {
+  const base = JSON.parse(readFileSync(path.join(process.cwd(), "lib/data/prices.json"), "utf8"));
+  try {
+    const override = process.env.USAGE_PRICES_JSON ? JSON.parse(process.env.USAGE_PRICES_JSON) : {};
+    return { ...base, ...override, llm: { ...base.llm, ...override.llm } };
+  } catch (e) {
+    log.warn("USAGE_PRICES_JSON could not be parsed", { error: String(e) });
+    return base;
+  }
+}
+
+function loadDefaultBudget() {
+  if (!process.env.USAGE_DEFAULT_BUDGET_JSON) return null;
+  try {
+    const parsed = validateBudget(JSON.parse(process.env.USAGE_DEFAULT_BUDGET_JSON));
+    if (parsed.ok) return parsed.budget;
+    log.warn("USAGE_DEFAULT_BUDGET_JSON ignored", { error: parsed.error });
+  } catch (e) {
+    log.warn("USAGE_DEFAULT_BUDGET_JSON could not be parsed", { error: String(e) });
+  }
+  return null;
+}
+
+// Returns { ok, budget } (null clears a budget) or { ok: false, error }.
+export function validateBudget(budget) {
+  if (budget === null) return { ok: true, budget: null };
+  if (!budget || typeof budget !== "object" || Array.isArray(budget)) return { ok: false, error: "budget must be an object" };
+  const clean = {};
+  for (const [field, value] of Object.entries(budget)) {
+    if (!BUDGET_LIMITS[field]) return { ok: false, error: `unknown budget field "${field}" (allowed: ${BUDGET_FIELDS.join(", ")})` };
+    if (value === null) continue;
+    if (!(Number(value) > 0)) return { ok: false, error: `budget.${field} must be a positive number` };
+    clean[field] = Number(value);
+  }
+  return { ok: true, budget: Object.keys(clean).length ? clean : null };
+}
+
+// Runs fn with usage recorded against keyId and endpoint.
+export function runMetered({ keyId, endpoint }, fn) {
+  return scope.run({ keyId, endpoint }, fn);
+}
+
+function periods(now = new Date()) {
+  const iso = now.toISOString();
+  return { day: iso.slice(0, 10), month: iso.slice(0, 7) };
+}
+
+function usageKey(keyId, period, value) {
+  return `usage:${keyId}:${period}:${value}`;
+}
+
+// metering must never slow down or fail a request
+function record(metrics) {
+  const ctx = scope.getStore();
+  if (!ctx) return;
+  const fields = {};
+  for (const [metric, value] of Object.entries(metrics)) {
+    const stored = Math.round(value * (SCALE[metric] || 1));
+    if (stored) fields[`${ctx.endpoint}:${metric}`] = stored;
+  }
+  if (!Object.keys(fields).length) return;
+  const { day, month } = periods();
+  kvHashIncr(usageKey(ctx.keyId, "day", day), fields, DAY_TTL).catch(() => {});
+  kvHashIncr(usageKey(ctx.keyId, "month", month), fields, MONTH_TTL).catch(() => {});
+}
+
+// Price of provider/model: an exact entry, else the longest entry the name starts with
+// ("claude-3-5-haiku-latest" -> "anthropic/claude-3-5-haiku"), else "provider/*". Null when unknown.
+export function llmPrice(provider, model) {
+  const name = `${provider}/${model}`;
+  if (PRICES.llm[name]) return PRICES.llm[name];
+  const prefix = Object.keys(PRICES.llm).filter(entry => name.startsWith(entry)).sort((a, b) => b.length - a.length)[0];
+  return PRICES.llm[prefix || `${provider}/*`] || null;
+}
+
+export function recordLlmUsage({ provider, model, usage }) {
+  const price = llmPrice(provider, model);
+  if (!price && !unpriced.has(`${provider}/${model}`)) {
+    unpriced.add(`${provider}/${model}`);
+    log.warn("no price for model; tokens are metered without cost (see USAGE_PRICES_JSON)", { provider, model });
+  }
+  const { inputTokens = 0, outputTokens = 0 } = usage || {};
+  const costUsd = price ? (inputTokens * price.input + outputTokens * price.output) / 1e6 : 0;
+  record({ llmCalls: 1, inputTokens, outputTokens, costUsd });
+}
+
+// Spoonacular reports what a request cost in X-API-Quota-Request; without the header a successful call counts one point.
+export function recordSpoonacular(resp) {
+  const header = resp.headers?.get?.("x-api-quota-request");
+  const points = header !== null && header !== undefined && Number.isFinite(Number(header)) ? Number(header) : (resp.ok ? 1 : 0);
+  record({ spoonacularPoints: points, costUsd: points * (PRICES.spoonacularPoint || 0) });
+}
+
+export function recordVisionRequest() {
+  record({ visionCalls: 1, costUsd: PRICES.googleVisionRequest || 0 });
+}
+
+function emptyTotals() {
+  return { ...Object.fromEntries(METRICS.map(metric => [metric, 0])), totalTokens: 0 };
+}
+
+function finish(totals) {
+  totals.totalTokens = totals.inputTokens + totals.outputTokens;
+  totals.spoonacularPoints = Math.round(totals.spoonacularPoints * 100) / 100;
+  totals.costUsd = Math.round(totals.costUsd * 1e6) / 1e6;
+  return totals;
+}
+
+// { totals, endpoints: { [endpoint]: totals } } for one rollup hash
+function summarize(hash) {
+  const totals = emptyTotals();
+  const endpoints = {};
+  for (const [field, stored] of Object.entries(hash)) {
+    const at = field.lastIndexOf(":");
+    const endpoint = field.slice(0, at);
+    const metric = field.slice(at + 1);
+    if (!METRICS.includes(metric)) continue;
+    const value = stored / (SCALE[metric] || 1);
+    endpoints[endpoint] = endpoints[endpoint] || emptyTotals();
+    endpoints[endpoint][metric] += value;
+    totals[metric] += value;
+  }
+  for (const endpoint of Object.keys(endpoints)) finish(endpoints[endpoint]);
+  return { totals: finish(totals), endpoints };
+}
+
+async function periodUsage(keyId, period, value) {
+  return { [period]: value, ...summarize(await kvHashGetAll(usageKey(keyId, period, value))) };
+}
+
+// Validates ?days and ?months of a usage request. Returns { ok, days, months } or { ok: false, error }.
+export function reportRange(query = {}) {
+  const days = query.days === undefined ? 7 : Number(query.days);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_REPORT_DAYS) return { ok: false, error: `days must be a whole number from 1 to ${MAX_REPORT_DAYS}` };
+  const months = query.months === undefined ? 1 : Number(query.months);
+  if (!Number.isInteger(months) || months < 1 || months > MAX_REPORT_MONTHS) return { ok: false, error: `months must be a whole number from 1 to ${MAX_REPORT_MONTHS}` };
+  return { ok: true, days, months };
+}
+
+// Usage for the last `days` days and `months` months (newest first).
+export async function usageReport(keyId, { days = 7, months = 1 } = {}) {
+  const now = new Date();
+  const dayList = Array.from({ length: days }, (_, i) => periods(new Date(now.getTime() - i * 86400000)).day);
+  const monthList = Array.from({ length: months }, (_, i) =>
+    periods(new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - i, 1))).month);
+  return {
+    keyId,
+    days: await Promise.all(dayList.map(day => periodUsage(keyId, "day", day))),
+    months: await Promise.all(monthList.map(month => periodUsage(keyId, "month", month)))
+  };
+}
+
+export function budgetFor(key) {
+  return key?.budget || DEFAULT_BUDGET;
+}
+
+function periodEnd(period, now = new Date()) {
+  return period === "day"
+    ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1))
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+}
+
+// Budget state per limit: [{ limit, period, max, used, remaining, resetsAt }].
+export async function budgetStatus(key) {
+  const budget = budgetFor(key);
+  if (!budget) return [];
+  const now = new Date();
+  const current = periods(now);
+  const needed = [...new Set(Object.keys(budget).map(field => BUDGET_LIMITS[field].period))];
+  const totals = Object.fromEntries(await Promise.all(needed.map(async period =>
+    [period, summarize(await kvHashGetAll(usageKey(key.id, period, current[period]))).totals])));
+  return Object.entries(budget).map(([field, max]) => {
+    const { period, metric } = BUDGET_LIMITS[field];
+    const used = totals[period][metric];
+    return { limit: field, period, max, used, remaining: Math.max(0, Math.round((max - used) * 1e6) / 1e6), resetsAt: periodEnd(period, now).toISOString() };
+  });
+}
+
+// Null while the key is within its budget, else { status, message, limit, max, used, resetsAt, retryAfter? }.
+export async function checkBudget(key) {
+  const spent = (await budgetStatus(key)).find(state => state.used >= state.max);
+  if (!spent) return null;
+  const { status } = BUDGET_LIMITS[spent.limit];
+  const over = { status, message: `Usage budget exceeded (${spent.limit})`, limit: spent.limit, max: spent.max, used: spent.used, resetsAt: spent.resetsAt };
+  if (status === 429) over.retryAfter = Math.max(1, Math.ceil((new Date(spent.resetsAt).getTime() - Date.now()) / 1000));
+  return over;
+}
@@ -1,21 +1,30 @@
 // Buffer is available globally in Node.js
 
+const MAX_IMAGE_BYTES = Number(process.env.MAX_IMAGE_BYTES || 4 * 1024 * 1024);
 
-export function requireProxyKey(req, res) {
-  const proxyKey = req.headers["x-proxy-key"] || req.headers["X-Proxy-Key"];
-  if (!process.env.PROXY_SECRET) {
-    console.warn("PROXY_SECRET not set - proxy is open (development only).");
-    return true;
-  }
-  if (!proxyKey || proxyKey !== process.env.PROXY_SECRET) {
-    res.status(401).json({ error: "Unauthorized - invalid proxy key" });
-    return false;
-  }
-  return true;
+// magic numbers for the image formats the vision providers accept
+const IMAGE_SIGNATURES = [
+  { mime: "image/jpeg", test: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mime: "image/png", test: b => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mime: "image/gif", test: b => b.subarray(0, 4).toString("ascii") === "GIF8" },
+  { mime: "image/webp", test: b => b.subarray(0, 4).toString("ascii") === "RIFF" && b.subarray(8, 12).toString("ascii") === "WEBP" }
+];
+
+const USER_ID_PATTERN = /^[A-Za-z0-9_.@-]{1,64}$/;
+
+// Who stored per-user data (chat conversations, pantries, food logs, saved targets) belongs to: the API key
+// plus the optional X-User-Id header, "default" when absent, so apps serving several users with one key keep
+// them apart. Returns null when the header is malformed.
+export function requestOwner(req) {
+  const userId = String(req.headers["x-user-id"] || "default");
+  if (!USER_ID_PATTERN.test(userId)) return null;
+  return `${req.apiKey?.id || "anon"}:${userId}`;
 }
 
+// Strips a data URL prefix. Non-strings are passed through for validateImageBase64() to reject with a 400.
 export function extractBase64(dataUrlOrBase64) {
   if (!dataUrlOrBase64) return null;
+  if (typeof dataUrlOrBase64 !== "string") return dataUrlOrBase64;
   const prefix = "base64,";
   const idx = dataUrlOrBase64.indexOf(prefix);
   if (idx !== -1) {
@@ -23,3 +32,67 @@ export function extractBase64(dataUrlOrBase64) {
   }
   return dataUrlOrBase64;
 }
+
+export function sniffImageMime(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  const match = IMAGE_SIGNATURES.find(sig => sig.test(buffer));
+  return match ? match.mime : null;
+}
+
+// Decodes and checks a base64 image payload. Returns { ok: true, base64, mime, bytes }
+// or { ok: false, status, error } with the HTTP status the handler should answer with.
+export function validateImageBase64(base64, maxBytes = MAX_IMAGE_BYTES) {
+  if (typeof base64 !== "string" || !base64) {
+    return { ok: false, status: 400, error: "Image must be a base64 string or data URL" };
+  }
+  const cleaned = base64.replace(/\s+/g, "").replace(/-/g, "+").replace(/_/g, "/");
+  if (!/^[A-Za-z0-9+/]+={0,2}$/.test(cleaned)) {
+    return { ok: false, status: 400, error: "Image is not valid base64" };
+  }
+  // check the size before decoding so oversized uploads never get buffered twice
+  const approxBytes = Math.floor(cleaned.length * 3 / 4);
+  if (approxBytes > maxBytes + 2) {
+    return { ok: false, status: 413, error: `Image too large (max ${maxBytes} bytes)` };
+  }
+  const buffer = Buffer.from(cleaned, "base64");
+  if (buffer.length > maxBytes) {
+    return { ok: false, status: 413, error: `Image too large (max ${maxBytes} bytes)` };
+  }
+  const mime = sniffImageMime(buffer);
+  if (!mime) {
+    return { ok: false, status: 415, error: "Unsupported image type (expected JPEG, PNG, GIF or WebP)" };
+  }
+  return { ok: true, base64: cleaned, mime, bytes: buffer.length };
+}
+
+export function safeParseJson(text) {
+  if (!text) return null;
+  try { return JSON.parse(text); } catch (e) {
+    const m = text.match(/[\{\[][\s\S]*[\}\]]/);
+    if (m) {
+      try { return JSON.parse(m[0]); } catch (e2) { return null; }
+    }
+    return null;
+  }
+}
+
+// JSON with object keys sorted at every level, so equal objects always serialize the same
+export function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(v => stableStringify(v ?? null)).join(",")}]`;
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value).sort().filter(k => value[k] !== undefined);
+    return `{${entries.map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// p-limit is optional; without it tasks simply run unthrottled
+export async function createLimiter(concurrency) {
+  try {
+    const pLimitMod = await import("p-limit");
+    const pLimitFunc = pLimitMod && (typeof pLimitMod.default === "function" ? pLimitMod.default : pLimitMod);
+    return pLimitFunc ? pLimitFunc(concurrency) : (fn => fn());
+  } catch {
+    return (fn) => fn(); // fallback no concurrency
+  }
+}
@@ -0,0 +1,107 @@
+// lib/vision.js
+// Pantry photo recognition behind a small provider interface.
+// A provider's detect() takes { base64, mime } and resolves to { items, raw } where items are
+// raw { name, confidence } guesses; parsePantryImage() normalizes them to the MOCK_PARSED_ITEMS shape.
+
+import { safeParseJson } from "./utils.js";
+import { complete, llmConfigError } from "./llm.js";
+import { recordVisionRequest } from "./usage.js";
+import { upstreamFetch, replaying } from "./upstream.js";
+
+const GOOGLE_VISION_KEY = process.env.GOOGLE_VISION_API_KEY || "";
+const MIN_CONFIDENCE = Number(process.env.VISION_MIN_CONFIDENCE || 0.5);
+const MAX_ITEMS = Number(process.env.VISION_MAX_ITEMS || 25);
+
+// Google labels that describe the photo rather than an item in the pantry
+const GENERIC_LABELS = new Set([
+  "food", "ingredient", "recipe", "cuisine", "dish", "produce", "natural foods", "staple food",
+  "whole food", "local food", "superfood", "tableware", "shelf", "shelving", "pantry", "packaging and labeling",
+  "plastic", "font", "rectangle", "label", "brand", "still life photography", "kitchen", "cupboard"
+]);
+
+// any vision-capable model behind lib/llm.js (LLM_PROVIDER_VISION / LLM_MODEL_VISION)
+async function detectWithLLM({ base64, mime }) {
+  const prompt = `List the distinct food items and groceries visible in this pantry or fridge photo.
+Respond ONLY with valid JSON: { "items": [ { "name": string, "confidence": number between 0 and 1 } ] }
+Use short generic grocery names in lowercase (e.g. "canned chickpeas", "brown rice"). No extra commentary.`;
+  const completion = await complete({
+    endpoint: "vision",
+    messages: [{
+      role: "user",
+      content: [
+        { type: "text", text: prompt },
+        { type: "image_url", image_url: { url: `data:${mime};base64,${base64}` } }
+      ]
+    }],
+    json: true,
+    temperature: 0,
+    maxTokens: 800
+  });
+  const parsed = safeParseJson(completion.content);
+  if (!parsed || !Array.isArray(parsed.items)) throw new Error("Vision model returned unexpected format");
+  return { items: parsed.items, raw: parsed };
+}
+
+async function detectWithGoogle({ base64 }) {
+  const url = `https://vision.googleapis.com/v1/images:annotate?key=${GOOGLE_VISION_KEY}`;
+  const resp = await upstreamFetch("google-vision", url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      requests: [{ image: { content: base64 }, features: [{ type: "LABEL_DETECTION", maxResults: 30 }] }]
+    })
+  });
+  recordVisionRequest();
+  if (!resp.ok) throw new Error(`Google Vision returned ${resp.status}: ${(await resp.text()).slice(0, 200)}`);
+  const data = await resp.json();
+  const result = data?.responses?.[0] || {};
+  if (result.error) throw new Error(`Google Vision error: ${result.error.message || result.error.code}`);
+  const labels = result.labelAnnotations || [];
+  const items = labels
+    .filter(l => !GENERIC_LABELS.has(String(l.description || "").toLowerCase()))
+    .map(l => ({ name: l.description, confidence: l.score }));
+  return { items, raw: { labelAnnotations: labels } };
+}
+
+// configError() returns why the provider can't run, or null when it's ready
+const llmProvider = { configError: () => llmConfigError("vision"), detect: detectWithLLM };
+export const VISION_PROVIDERS = {
+  llm: llmProvider,
+  openai: llmProvider, // original name, kept for existing deployments
+  google: { configError: () => (GOOGLE_VISION_KEY || replaying("google-vision") ? null : "GOOGLE_VISION_API_KEY not set"), detect: detectWithGoogle }
+};
+
+export function getVisionProvider(name = process.env.VISION_PROVIDER || "llm") {
+  return VISION_PROVIDERS[String(name).toLowerCase()] || null;
+}
+
+// Coerces provider output into [{ name, confidence }]: lowercase names, confidence rounded to
+// two decimals, duplicates merged (highest confidence wins), low-confidence guesses dropped.
+export function normalizeItems(rawItems, minConfidence = MIN_CONFIDENCE) {
+  const byName = new Map();
+  for (const item of rawItems || []) {
+    const name = String(item?.name || "").trim().toLowerCase().replace(/\s+/g, " ");
+    if (!name) continue;
+    let confidence = Number(item?.confidence);
+    if (!Number.isFinite(confidence)) confidence = 0;
+    confidence = Math.round(Math.min(1, Math.max(0, confidence)) * 100) / 100;
+    if (confidence < minConfidence) continue;
+    const prev = byName.get(name);
+    if (!prev || prev.confidence < confidence) byName.set(name, { name, confidence });
+  }
+  return [...byName.values()].sort((a, b) => b.confidence - a.confidence).slice(0, MAX_ITEMS);
+}
+
+export function summarizeConfidence(items) {
+  if (!items || items.length === 0) return "none";
+  const avg = items.reduce((sum, i) => sum + i.confidence, 0) / items.length;
+  if (avg >= 0.8) return "high";
+  if (avg >= 0.6) return "medium";
+  return "low";
+}
+
+export async function parsePantryImage(provider, { base64, mime }) {
+  const { items, raw } = await provider.detect({ base64, mime });
+  const normalized = normalizeItems(items);
+  return { items: normalized, rawVisionData: raw, confidenceSummary: summarizeConfidence(normalized) };
+}
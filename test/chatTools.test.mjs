@@ -0,0 +1,235 @@
+// test/chatTools.test.mjs
+// runToolLoop() with a scripted callModel in place of the LLM. The tools run for real against stubs: the
+// recipe model answers through a stubbed fetch, barcodes come from the bundled local table and photos go to
+// a stub vision provider.
+import test from "node:test";
+import assert from "node:assert/strict";
+
+process.env.LOG_LEVEL = "error";
+process.env.OPENAI_API_KEY = "test-key";
+process.env.BARCODE_PROVIDERS = "local";
+process.env.VISION_PROVIDER = "stub";
+
+const { runToolLoop, toolMessageContent, suggestActions } = await import("../lib/chatTools.js");
+const { VISION_PROVIDERS } = await import("../lib/vision.js");
+
+const RECIPES = {
+  recipes: [{
+    title: "Chickpea spinach stew",
+    description: "A quick one-pot stew.",
+    ingredients: [{ name: "chickpeas", quantity: "1 can (240g)" }, { name: "spinach", quantity: "2 cups (60g)" }],
+    steps: ["Simmer the chickpeas.", "Stir in the spinach."],
+    estimatedCalories: 450,
+    macros: { protein: 20, carbs: 60, fat: 9 }
+  }]
+};
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(16)]).toString("base64");
+
+// the recipe model: every chat completion request answers with RECIPES
+const modelRequests = [];
+globalThis.fetch = async (url, init) => {
+  modelRequests.push({ url: String(url), body: JSON.parse(init.body) });
+  const content = JSON.stringify(RECIPES);
+  return new Response(JSON.stringify({ choices: [{ message: { content }, finish_reason: "stop" }], usage: {} }), { status: 200, headers: { "content-type": "application/json" } });
+};
+
+VISION_PROVIDERS.stub = {
+  configError: () => null,
+  detect: async () => ({ items: [{ name: "Spinach", confidence: 0.92 }, { name: "eggs", confidence: 0.81 }], raw: null })
+};
+
+// Answers with the given turns in order and records what each call was given.
+function scriptedModel(turns) {
+  const calls = [];
+  const callModel = async (messages, tools) => {
+    calls.push({ messages: structuredClone(messages), tools });
+    return turns[calls.length - 1] || { content: "done" };
+  };
+  return { calls, callModel };
+}
+
+const toolCall = (id, name, args) => ({ id, name, arguments: args });
+const toolNames = tools => tools.map(t => t.function.name);
+// the tool message the model got back for the call in the last round
+const lastToolMessage = calls => calls.at(-1).messages.at(-1);
+
+test("generate_recipes runs the recipe pipeline and returns a compact summary to the model", async () => {
+  const { calls, callModel } = scriptedModel([
+    { content: null, toolCalls: [toolCall("call_1", "generate_recipes", JSON.stringify({ ingredients: ["chickpeas", "spinach"], diet: "vegan" }))] },
+    { content: "Try the chickpea spinach stew." }
+  ]);
+  const tools = [];
+  const out = await runToolLoop({
+    messages: [{ role: "user", content: "Dinner from chickpeas and spinach?" }],
+    callModel,
+    context: {},
+    onToolResult: (name, outcome) => tools.push([name, !outcome.error])
+  });
+
+  assert.equal(out.reply, "Try the chickpea spinach stew.");
+  assert.deepEqual(out.toolsUsed, ["generate_recipes"]);
+  assert.deepEqual(tools, [["generate_recipes", true]]);
+  assert.equal(modelRequests.length, 1);
+  assert.match(JSON.stringify(modelRequests[0].body.messages), /chickpeas/);
+  assert.equal(out.results.recipes[0].title, "Chickpea spinach stew");
+
+  const [assistant, tool] = calls[1].messages.slice(-2);
+  assert.deepEqual(assistant.tool_calls.map(tc => [tc.id, tc.function.name]), [["call_1", "generate_recipes"]]);
+  assert.equal(tool.role, "tool");
+  assert.equal(tool.tool_call_id, "call_1");
+  const summary = JSON.parse(tool.content);
+  assert.equal(summary.recipes[0].title, "Chickpea spinach stew");
+  assert.deepEqual(summary.recipes[0].ingredients, ["1 can (240g) chickpeas", "2 cups (60g) spinach"]);
+  assert.deepEqual(suggestActions(out.results), ["Suggest different recipes", "Adjust calorie target"]);
+});
+
+test("generate_recipes without ingredients is an error for the model, not a model call", async () => {
+  const before = modelRequests.length;
+  const { calls, callModel } = scriptedModel([{ content: null, toolCalls: [toolCall("call_1", "generate_recipes", "{}")] }]);
+  const out = await runToolLoop({ messages: [{ role: "user", content: "recipes" }], callModel, context: {} });
+  assert.equal(modelRequests.length, before);
+  assert.deepEqual(out.results, {});
+  assert.deepEqual(JSON.parse(lastToolMessage(calls).content), { error: "ingredients must be a non-empty array" });
+});
+
+test("lookup_barcode returns the product and its follow-up actions", async () => {
+  const { calls, callModel } = scriptedModel([
+    { content: null, toolCalls: [toolCall("call_1", "lookup_barcode", JSON.stringify({ barcode: "2000000000022" }))] },
+    { content: "Those are rolled oats." }
+  ]);
+  const out = await runToolLoop({ messages: [{ role: "user", content: "What is 2000000000022?" }], callModel, context: {} });
+
+  assert.ok(toolNames(calls[0].tools).includes("lookup_barcode"));
+  assert.equal(out.results.product.productName, "Rolled Oats");
+  const { product } = JSON.parse(lastToolMessage(calls).content);
+  assert.equal(product.productName, "Rolled Oats");
+  assert.equal(product.calories, 150);
+  assert.deepEqual(suggestActions(out.results), ["Find recipes using this product", "Compare with a healthier alternative"]);
+});
+
+test("lookup_barcode reports invalid and unknown barcodes to the model", async () => {
+  const { calls, callModel } = scriptedModel([
+    { content: null, toolCalls: [toolCall("call_1", "lookup_barcode", JSON.stringify({ barcode: "2000000000023" }))] },
+    { content: null, toolCalls: [toolCall("call_2", "lookup_barcode", JSON.stringify({ barcode: "4006381333931" }))] },
+    { content: "I couldn't find that product." }
+  ]);
+  const out = await runToolLoop({ messages: [{ role: "user", content: "scan" }], callModel, context: {} });
+  assert.deepEqual(JSON.parse(calls[1].messages.at(-1).content), { error: "Barcode check digit is invalid" });
+  assert.deepEqual(JSON.parse(calls[2].messages.at(-1).content), { error: "Product not found" });
+  assert.deepEqual(out.results, {});
+});
+
+test("parse_pantry_image is only offered with a photo and lists what the provider saw", async () => {
+  const withoutPhoto = scriptedModel([{ content: "Send me a photo." }]);
+  await runToolLoop({ messages: [{ role: "user", content: "what's in my fridge?" }], callModel: withoutPhoto.callModel, context: {} });
+  assert.ok(!toolNames(withoutPhoto.calls[0].tools).includes("parse_pantry_image"));
+
+  const { calls, callModel } = scriptedModel([
+    { content: null, toolCalls: [toolCall("call_1", "parse_pantry_image", "")] },
+    { content: "I can see spinach and eggs." }
+  ]);
+  const image = { ok: true, base64: PNG, mime: "image/png", bytes: 24 };
+  const out = await runToolLoop({ messages: [{ role: "user", content: "what's in my fridge?" }], callModel, context: { image } });
+
+  assert.ok(toolNames(calls[0].tools).includes("parse_pantry_image"));
+  assert.deepEqual(out.results.pantryItems, [{ name: "spinach", confidence: 0.92 }, { name: "eggs", confidence: 0.81 }]);
+  assert.deepEqual(JSON.parse(lastToolMessage(calls).content), { items: out.results.pantryItems, confidenceSummary: "high" });
+  assert.deepEqual(suggestActions(out.results), ["Generate recipes from my pantry", "What am I missing for a balanced week?"]);
+});
+
+test("without tool results the default actions are suggested", () => {
+  assert.deepEqual(suggestActions({}), ["Suggest recipes from my pantry", "Adjust calorie target"]);
+});
+
+test("after maxSteps rounds of tools the model is called once more without tools", async () => {
+  const again = { content: null, toolCalls: [toolCall("call_x", "lookup_barcode", JSON.stringify({ barcode: "2000000000015" }))] };
+  const { calls, callModel } = scriptedModel([again, again, { ...again, content: "Forced answer" }]);
+  const out = await runToolLoop({ messages: [{ role: "user", content: "loop" }], callModel, context: {}, maxSteps: 2 });
+
+  assert.equal(calls.length, 3);
+  assert.ok(Array.isArray(calls[0].tools) && Array.isArray(calls[1].tools));
+  assert.equal(calls[2].tools, null);
+  // tool calls in the forced final answer are ignored
+  assert.equal(out.reply, "Forced answer");
+  assert.deepEqual(out.toolsUsed, ["lookup_barcode", "lookup_barcode"]);
+});
+
+test("an unknown tool name is reported back to the model as an error", async () => {
+  const { calls, callModel } = scriptedModel([
+    { content: null, toolCalls: [toolCall("call_1", "order_pizza", "{}")] },
+    { content: "I can't order food." }
+  ]);
+  const out = await runToolLoop({ messages: [{ role: "user", content: "pizza" }], callModel, context: {} });
+
+  assert.equal(out.reply, "I can't order food.");
+  assert.deepEqual(out.results, {});
+  const tool = calls[1].messages.at(-1);
+  assert.equal(tool.tool_call_id, "call_1");
+  assert.deepEqual(JSON.parse(tool.content), { error: "Unknown tool order_pizza" });
+});
+
+test("arguments that aren't valid JSON are reported back to the model as an error", async () => {
+  const { calls, callModel } = scriptedModel([
+    { content: null, toolCalls: [toolCall("call_1", "lookup_barcode", "{\"barcode\": \"2000000000015\",")] },
+    { content: "Sorry, let me try that again later." }
+  ]);
+  const out = await runToolLoop({ messages: [{ role: "user", content: "scan" }], callModel, context: {} });
+
+  assert.deepEqual(out.results, {});
+  assert.deepEqual(JSON.parse(calls[1].messages.at(-1).content), { error: "Tool arguments were not valid JSON" });
+});
+
+test("toolMessageContent shrinks oversized results to JSON that still parses", () => {
+  const recipes = Array.from({ length: 40 }, (_, i) => ({ title: `Recipe ${i}`, description: "x".repeat(500) }));
+  const content = toolMessageContent({ summary: { recipes } });
+  assert.ok(content.length <= 4000);
+  const parsed = JSON.parse(content);
+  assert.ok(parsed.recipes.length < recipes.length);
+  assert.match(parsed.recipes.at(-1), /more$/);
+});
+
+// get_nutrition_summary reads the caller's food log and saved targets from the in-memory store
+const { addEntry } = await import("../lib/foodLog.js");
+const { saveTargets } = await import("../lib/nutritionTargets.js");
+
+const OWNER = "key_test:alice";
+const DATE = "2026-03-02";
+
+await addEntry(OWNER, DATE, { source: "manual", name: "Oatmeal", perServing: { calories: 350, protein: 12, carbs: 60, fat: 6 } }, { servings: 1, meal: "breakfast" });
+await saveTargets(OWNER, { targets: { calories: 2000, protein: 120, carbs: 220, fat: 70, fiber: 28 }, calculation: null, profile: null });
+
+test("get_nutrition_summary compares the logged day with the saved targets", async () => {
+  const { calls, callModel } = scriptedModel([
+    { content: null, toolCalls: [toolCall("call_1", "get_nutrition_summary", JSON.stringify({ period: "day", date: DATE }))] },
+    { content: "You have 1650 kcal left today." }
+  ]);
+  const results = [];
+  const out = await runToolLoop({
+    messages: [{ role: "user", content: "How am I doing today?" }],
+    callModel,
+    context: { owner: OWNER },
+    onToolResult: name => results.push(name)
+  });
+
+  assert.equal(out.reply, "You have 1650 kcal left today.");
+  assert.deepEqual(out.toolsUsed, ["get_nutrition_summary"]);
+  assert.deepEqual(results, ["get_nutrition_summary"]);
+  assert.equal(out.results.nutritionSummary.totals.calories, 350);
+  assert.ok(toolNames(calls[0].tools).includes("get_nutrition_summary"));
+
+  const [assistant, tool] = calls[1].messages.slice(-2);
+  assert.equal(assistant.tool_calls[0].function.name, "get_nutrition_summary");
+  assert.equal(tool.role, "tool");
+  assert.equal(tool.tool_call_id, "call_1");
+  const summary = JSON.parse(tool.content);
+  assert.equal(summary.targetSource, "saved");
+  assert.deepEqual(summary.eaten, [{ meal: "breakfast", name: "Oatmeal", servings: 1, calories: 350 }]);
+  assert.equal(summary.vsTargets.calories.remaining, 1650);
+  assert.deepEqual(suggestActions(out.results), ["Suggest a meal that fits my remaining targets", "Show my week"]);
+});
+
+test("only offers the nutrition summary when the caller has an owner", async () => {
+  const { calls, callModel } = scriptedModel([{ content: "hi" }]);
+  await runToolLoop({ messages: [{ role: "user", content: "hi" }], callModel, context: {} });
+  assert.ok(!toolNames(calls[0].tools).includes("get_nutrition_summary"));
+});
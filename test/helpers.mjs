@@ -0,0 +1,25 @@
+// test/helpers.mjs
+// Minimal stand-ins for the Vercel request/response objects, for calling handlers directly.
+
+export function mockReq({ method = "POST", body = {}, headers = {}, query = {} } = {}) {
+  return { method, body, headers, query, url: "/test", socket: {} };
+}
+
+export function mockRes() {
+  const res = { statusCode: 200, headers: {}, body: undefined, headersSent: false, writableEnded: false };
+  res.status = code => { res.statusCode = code; return res; };
+  res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+  res.getHeader = name => res.headers[name.toLowerCase()];
+  res.json = body => { res.body = body; res.headersSent = true; res.writableEnded = true; return res; };
+  res.send = body => res.json(body);
+  res.write = () => { res.headersSent = true; };
+  res.end = () => { res.writableEnded = true; };
+  res.on = () => {};
+  return res;
+}
+
+export async function callHandler(handler, options) {
+  const res = mockRes();
+  await handler(mockReq(options), res);
+  return res;
+}
@@ -0,0 +1,116 @@
+// test/parseImage.test.mjs
+// /api/parse-image and lib/vision.js against a local stub provider: no network, no API keys.
+import test from "node:test";
+import assert from "node:assert/strict";
+import { callHandler } from "./helpers.mjs";
+
+process.env.MOCK = "false";
+process.env.PROXY_SECRET = "test-secret";
+process.env.LOG_LEVEL = "error";
+process.env.MAX_IMAGE_BYTES = "1024";
+process.env.VISION_PROVIDER = "stub";
+
+const { VISION_PROVIDERS, normalizeItems, summarizeConfidence, parsePantryImage } = await import("../lib/vision.js");
+const { extractBase64, validateImageBase64 } = await import("../lib/utils.js");
+const { default: parseImage } = await import("../api/parse-image.js");
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(16)]).toString("base64");
+
+// the stub answers with whatever the current test put in `detections`
+let detections = [];
+const calls = [];
+VISION_PROVIDERS.stub = {
+  configError: () => null,
+  detect: async image => {
+    calls.push(image);
+    if (detections instanceof Error) throw detections;
+    return { items: detections, raw: { stub: true } };
+  }
+};
+
+const post = body => callHandler(parseImage, { body, headers: { "x-proxy-key": "test-secret" } });
+
+test("rejects a missing image with 400", async () => {
+  const res = await post({});
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error.code, "bad_request");
+});
+
+test("rejects a non-string image with 400", async () => {
+  for (const image of [123, { data: "x" }, ["x"]]) {
+    const res = await post({ image });
+    assert.equal(res.statusCode, 400, JSON.stringify(image));
+  }
+});
+
+test("rejects invalid base64 with 400", async () => {
+  const res = await post({ imageBase64: "not base64!" });
+  assert.equal(res.statusCode, 400);
+});
+
+test("rejects images over MAX_IMAGE_BYTES with 413", async () => {
+  const big = Buffer.concat([Buffer.from(PNG, "base64"), Buffer.alloc(2048)]).toString("base64");
+  const res = await post({ imageBase64: big });
+  assert.equal(res.statusCode, 413);
+  assert.equal(res.body.error.code, "payload_too_large");
+});
+
+test("rejects bytes that aren't JPEG, PNG, GIF or WebP with 415", async () => {
+  const res = await post({ imageBase64: Buffer.from("just some plain text here").toString("base64") });
+  assert.equal(res.statusCode, 415);
+});
+
+test("validateImageBase64 accepts data URLs and reports the sniffed type", () => {
+  const image = validateImageBase64(extractBase64(`data:image/png;base64,${PNG}`));
+  assert.equal(image.ok, true);
+  assert.equal(image.mime, "image/png");
+  assert.equal(image.bytes, 24);
+});
+
+test("normalizeItems lowercases, merges duplicates, clamps and drops low confidence", () => {
+  const items = normalizeItems([
+    { name: "  Brown   Rice ", confidence: 0.7 },
+    { name: "brown rice", confidence: 0.9 },
+    { name: "Eggs", confidence: 1.7 },
+    { name: "mystery", confidence: 0.2 },
+    { name: "", confidence: 1 },
+    { name: "spinach", confidence: "0.666" },
+    { name: "kale" }
+  ]);
+  assert.deepEqual(items, [
+    { name: "eggs", confidence: 1 },
+    { name: "brown rice", confidence: 0.9 },
+    { name: "spinach", confidence: 0.67 }
+  ]);
+});
+
+test("summarizeConfidence buckets the average", () => {
+  assert.equal(summarizeConfidence([]), "none");
+  assert.equal(summarizeConfidence([{ confidence: 0.9 }, { confidence: 0.8 }]), "high");
+  assert.equal(summarizeConfidence([{ confidence: 0.7 }, { confidence: 0.6 }]), "medium");
+  assert.equal(summarizeConfidence([{ confidence: 0.5 }]), "low");
+});
+
+test("parsePantryImage normalizes what the detector returns", async () => {
+  detections = [{ name: "Canned Chickpeas", confidence: 0.94 }, { name: "crumbs", confidence: 0.1 }];
+  const result = await parsePantryImage(VISION_PROVIDERS.stub, { base64: PNG, mime: "image/png" });
+  assert.deepEqual(result, { items: [{ name: "canned chickpeas", confidence: 0.94 }], rawVisionData: { stub: true }, confidenceSummary: "high" });
+});
+
+test("the endpoint passes the decoded image to the provider and returns its items", async () => {
+  detections = [{ name: "Brown rice", confidence: 0.65 }];
+  calls.length = 0;
+  const res = await post({ imageBase64: `data:image/png;base64,${PNG}` });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(calls, [{ base64: PNG, mime: "image/png" }]);
+  assert.deepEqual(res.body.items, [{ name: "brown rice", confidence: 0.65 }]);
+  assert.equal(res.body.confidenceSummary, "medium");
+  assert.equal(res.body.provider, "stub");
+});
+
+test("a failing provider is a 502", async () => {
+  detections = new Error("stub down");
+  const res = await post({ imageBase64: PNG });
+  assert.equal(res.statusCode, 502);
+  assert.equal(res.body.error.code, "upstream_error");
+});